@@ -1,4 +1,4 @@
-﻿const { app, BrowserWindow, ipcMain, nativeTheme, Menu } = require('electron');
+﻿const { app, BrowserWindow, ipcMain, nativeTheme, Menu, dialog, clipboard, screen } = require('electron');
 // `electron-is-dev` can be an ES module default export in some installs.
 // Normalize to a boolean so packaged app doesn't mistakenly treat the app as "dev".
 const _isDevModule = require('electron-is-dev');
@@ -11,10 +11,25 @@ log.transports.file.resolvePath = () => path.join(app.getPath('userData'), 'logs
 log.transports.file.level = 'info';
 log.info('Starting main process', { argv: process.argv });
 
+// what an IPC handler answering { success, error } returns from its catch block; logs first when given a message
+const ipcError = (err, level, message, context) => {
+  if (message) log[level](message, { ...context, err: err && err.message });
+  return { success: false, error: String(err && err.message) };
+};
+
+// the first window opened (or, once it closes, another open one): it receives deep links and parents dialogs when nothing is focused
 let mainWindow;
 
-const createWindow = async () => {
-  log.info('createWindow() called', { isDev });
+// only one instance runs; later launches pass their link or arguments to it (see "Deep links" below)
+const gotInstanceLock = app.requestSingleInstanceLock();
+if (!gotInstanceLock) {
+  log.info('Another instance is running; handing over and quitting');
+  app.quit();
+}
+
+// opts: { route, bounds, maximized } for secondary and restored windows (see "Windows" below)
+const createWindow = async (opts = {}) => {
+  log.info('createWindow() called', { isDev, route: opts.route && opts.route.view });
 
   // create a frameless window: the renderer will draw its own custom titlebar
 
@@ -30,11 +45,13 @@ const createWindow = async () => {
     log.error('Preload script missing or unreadable', { preloadPath, err: err && err.message });
   }
 
-  mainWindow = new BrowserWindow({
+  const bounds = usableBounds(opts.bounds);
+  const win = new BrowserWindow({
     // window title shown by the native titlebar (outer bar)
     title: 'WorldData - xmcls.com',
     width: 1280,
     height: 800,
+    ...bounds,
     minWidth: 800,
     minHeight: 600,
     show: true,
@@ -50,6 +67,10 @@ const createWindow = async () => {
       contextIsolation: true,
     },
   });
+  const windowId = win.id;
+  if (!mainWindow) mainWindow = win;
+  windowRoutes.set(windowId, opts.route || null);
+  if (opts.maximized) win.maximize();
   // log preload path and existence for debugging (show resolved/readable path)
   try {
     log.info('Preload path', { preloadRequested: preloadPath, preloadToUse: preloadToUse, exists: preloadToUse ? fs.existsSync(preloadToUse) : false });
@@ -59,9 +80,9 @@ const createWindow = async () => {
 
   // hide the native menu bar from the window and enable auto-hide
   try {
-    if (typeof mainWindow.setMenuBarVisibility === 'function') {
-      mainWindow.setMenuBarVisibility(false);
-      mainWindow.setAutoHideMenuBar(true);
+    if (typeof win.setMenuBarVisibility === 'function') {
+      win.setMenuBarVisibility(false);
+      win.setAutoHideMenuBar(true);
     }
   } catch (err) {
     log.warn('Failed to hide menu bar', { err: err && err.message });
@@ -100,7 +121,7 @@ const createWindow = async () => {
 
   try {
     log.info('Loading startUrl', { startUrl });
-    await mainWindow.loadURL(startUrl);
+    await win.loadURL(startUrl);
   } catch (err) {
     log.error('Failed to loadURL', { err: err && err.message, stack: err && err.stack });
     // Show a simple error HTML so app doesn't stay blank
@@ -110,14 +131,14 @@ const createWindow = async () => {
         <pre>${String(err && err.stack || err)}</pre>
         <p>Check log file: ${app.getPath('userData')}/logs/main.log</p>
       </body></html>`;
-    mainWindow.loadURL(`data:text/html,${encodeURIComponent(errorHtml)}`);
+    win.loadURL(`data:text/html,${encodeURIComponent(errorHtml)}`);
   }
 
-  mainWindow.webContents.on('did-finish-load', () => {
+  win.webContents.on('did-finish-load', () => {
     log.info('Renderer finished loading');
     // check whether preload exposed the expected API
     try {
-      mainWindow.webContents.executeJavaScript('typeof window.electron !== "undefined"').then(present => {
+      win.webContents.executeJavaScript('typeof window.electron !== "undefined"').then(present => {
         log.info('Renderer reports electron presence', { present });
       }).catch(err => {
         log.error('Failed to execute presence check', { err: err && err.message });
@@ -127,22 +148,30 @@ const createWindow = async () => {
     }
   });
 
-  mainWindow.webContents.on('did-fail-load', (event, errorCode, errorDescription, validatedURL) => {
+  win.webContents.on('did-fail-load', (event, errorCode, errorDescription, validatedURL) => {
     log.error('did-fail-load', { errorCode, errorDescription, validatedURL });
   });
 
-  mainWindow.on('closed', () => {
-    mainWindow = null;
+  win.on('close', () => {
+    // closing the last window ends the session (outside of an app quit, which snapshots on its own)
+    if (!quitting && appWindows().length === 1) saveWindowState([win]);
+  });
+
+  win.on('closed', () => {
+    windowRoutes.delete(windowId);
+    if (mainWindow === win) mainWindow = appWindows().find(w => w !== win && !w.isDestroyed()) || null;
   });
 
   if (isDev) {
-    mainWindow.webContents.openDevTools();
+    win.webContents.openDevTools();
   }
+  return win;
 };
 
 app.whenReady().then(() => {
-  createWindow().catch(err => {
-    log.error('createWindow() threw', { err: err && err.stack });
+  if (!gotInstanceLock) return;
+  restoreWindows().catch(err => {
+    log.error('restoreWindows() threw', { err: err && err.stack });
   });
 
   // completely remove the default application menu (File / Edit / View / Window / Help)
@@ -154,7 +183,7 @@ app.whenReady().then(() => {
   }
 
   app.on('activate', function () {
-    if (BrowserWindow.getAllWindows().length === 0) createWindow();
+    if (appWindows().length === 0) createWindow();
   });
 });
 
@@ -172,11 +201,12 @@ ipcMain.on('preload-error', (e, message) => log.error('Preload reported error',
 // expose app version
 ipcMain.handle('get-app-version', () => app.getVersion());
 
-// allow renderer to control the frameless window
-ipcMain.handle('window-minimize', () => { log.info('IPC: window-minimize'); if (mainWindow) { mainWindow.minimize(); return true; } return false; });
-ipcMain.handle('window-maximize', () => { log.info('IPC: window-maximize'); if (!mainWindow) return false; if (mainWindow.isMaximized()) { mainWindow.unmaximize(); } else { mainWindow.maximize(); } return true; });
-ipcMain.handle('window-close', () => { log.info('IPC: window-close'); if (mainWindow) { mainWindow.close(); return true; } return false; });
-ipcMain.handle('window-is-maximized', () => { return mainWindow ? mainWindow.isMaximized() : false; });
+// allow each renderer to control its own frameless window
+const senderWindow = (event) => BrowserWindow.fromWebContents(event.sender);
+ipcMain.handle('window-minimize', (event) => { log.info('IPC: window-minimize'); const win = senderWindow(event); if (win) { win.minimize(); return true; } return false; });
+ipcMain.handle('window-maximize', (event) => { log.info('IPC: window-maximize'); const win = senderWindow(event); if (!win) return false; if (win.isMaximized()) { win.unmaximize(); } else { win.maximize(); } return true; });
+ipcMain.handle('window-close', (event) => { log.info('IPC: window-close'); const win = senderWindow(event); if (win) { win.close(); return true; } return false; });
+ipcMain.handle('window-is-maximized', (event) => { const win = senderWindow(event); return win ? win.isMaximized() : false; });
 
 // forward maximize/unmaximize so the renderer can update maximize/restore UI state
 app.on('browser-window-created', (e, win) => {
@@ -184,6 +214,327 @@ app.on('browser-window-created', (e, win) => {
   win.on('unmaximize', () => { log.info('BrowserWindow: unmaximized'); win.webContents.send('window-unmaximized'); });
 });
 
+// ------------------------
+// Deep links (worlddata://) and launch arguments
+// ------------------------
+// Links name a view, an optional target and query parameters:
+//   worlddata://country/Kenya?indicators=EG.ELC.ACCS.ZS&chart=line
+//   worlddata://compare?countries=KEN,UGA&indicators=NY.GDP.PCAP.CD&mode=index
+//   worlddata://ranking/SP.POP.TOTL?year=2020
+//   worlddata://map/NY.GDP.PCAP.CD?year=2020
+//   worlddata://scatter?indicators=NY.GDP.PCAP.CD,SP.DYN.LE00.IN&mode=log-x&group=Sub-Saharan_Africa
+//   worlddata://coverage/health?group=countries&from=2000&mode=latest&sort=coverage
+// The same routes can be given on the command line: --country Kenya --indicators EG.ELC.ACCS.ZS --chart line,
+// or --compare KEN,UGA. Routes are handed to the renderer as { view, target, indicators, countries, ... }.
+const LINK_PROTOCOL = 'worlddata';
+const LINK_VIEWS = ['country', 'compare', 'ranking', 'map', 'scatter', 'coverage'];
+const LINK_LIST_PARAMS = ['indicators', 'countries'];
+const LINK_SCALAR_PARAMS = ['chart', 'mode', 'year', 'from', 'to', 'group', 'sort', 'workspace'];
+
+const makeRoute = (view, target, params) => {
+  const name = String(view || '').toLowerCase();
+  if (!LINK_VIEWS.includes(name)) return null;
+  const route = { view: name, target: target ? String(target).trim().slice(0, 120) || null : null };
+  for (const key of LINK_LIST_PARAMS) {
+    route[key] = String(params[key] || '').split(',').map(s => s.trim()).filter(Boolean).slice(0, 50);
+  }
+  for (const key of LINK_SCALAR_PARAMS) {
+    if (params[key]) route[key] = String(params[key]).slice(0, 120);
+  }
+  return route;
+};
+
+const parseLink = (raw) => {
+  let url;
+  try { url = new URL(String(raw)); } catch (e) { return null; }
+  if (url.protocol !== `${LINK_PROTOCOL}:`) return null;
+  // "worlddata://country/Kenya" parses with the view as host, "worlddata:country/Kenya" without one
+  const parts = [url.host, ...url.pathname.split('/')].filter(Boolean).map(p => {
+    try { return decodeURIComponent(p); } catch (e) { return p; }
+  });
+  return makeRoute(parts[0], parts[1], Object.fromEntries(url.searchParams));
+};
+
+const buildLink = (route) => {
+  const view = String(route && route.view || '').toLowerCase();
+  if (!LINK_VIEWS.includes(view)) throw new Error(`unknown view: ${route && route.view}`);
+  const query = [];
+  for (const key of LINK_LIST_PARAMS) {
+    const list = Array.isArray(route[key]) ? route[key] : [];
+    if (list.length) query.push(`${key}=${list.map(encodeURIComponent).join(',')}`);
+  }
+  for (const key of LINK_SCALAR_PARAMS) {
+    if (route[key] !== undefined && route[key] !== null && route[key] !== '') query.push(`${key}=${encodeURIComponent(route[key])}`);
+  }
+  const target = route.target ? `/${encodeURIComponent(route.target)}` : '';
+  return `${LINK_PROTOCOL}://${view}${target}${query.length ? `?${query.join('&')}` : ''}`;
+};
+
+// a worlddata:// argument (protocol launches on Windows/Linux) or --view flags; Chromium switches are ignored
+const linkFromArgv = (argv) => {
+  const args = (argv || []).filter(a => typeof a === 'string');
+  const url = args.find(a => a.toLowerCase().startsWith(`${LINK_PROTOCOL}:`));
+  if (url) return parseLink(url);
+  const known = [...LINK_VIEWS, ...LINK_LIST_PARAMS, ...LINK_SCALAR_PARAMS];
+  const flags = {};
+  for (let i = 0; i < args.length; i++) {
+    const m = /^--([a-z]+)(?:=(.*))?$/.exec(args[i]);
+    if (!m || !known.includes(m[1])) continue;
+    let value = m[2];
+    if (value === undefined && args[i + 1] !== undefined && !args[i + 1].startsWith('--')) value = args[++i];
+    flags[m[1]] = value === undefined ? '' : value;
+  }
+  const view = LINK_VIEWS.find(v => flags[v] !== undefined);
+  if (!view) return null;
+  if (view === 'compare') return makeRoute(view, null, { ...flags, countries: flags.countries || flags.compare });
+  return makeRoute(view, flags[view], flags);
+};
+
+// name / ISO code -> country key for links. Uses the store when it is already in memory; otherwise the
+// codes come from the first record of each country file, so opening a link never builds the store.
+let linkCountryIndex = null; // { key, match }
+
+const readCountryCodes = (file) => {
+  let fd = null;
+  try {
+    fd = fs.openSync(file, 'r');
+    const buf = Buffer.alloc(4096);
+    const head = buf.toString('utf8', 0, fs.readSync(fd, buf, 0, buf.length, 0));
+    const country = /"country"\s*:\s*\{\s*"id"\s*:\s*"([^"]*)"\s*,\s*"value"\s*:\s*"([^"]*)"/.exec(head);
+    const iso3 = /"countryiso3code"\s*:\s*"([^"]*)"/.exec(head);
+    return { iso2: country ? country[1] : '', name: country ? country[2] : '', iso3: iso3 ? iso3[1] : '' };
+  } catch (e) {
+    return {};
+  } finally {
+    if (fd !== null) fs.closeSync(fd);
+  }
+};
+
+const getLinkCountryMatcher = async () => {
+  if (indicatorStore) return buildCountryMatcher(indicatorStore);
+  const storeKey = await getIndicatorStoreKey();
+  if (linkCountryIndex && linkCountryIndex.key === storeKey) return linkCountryIndex.match;
+  const keys = Array.from(new Set([...listBundledCountries(), ...listPackCountries()])).filter(Boolean);
+  const countries = keys.map((key) => {
+    const packFile = path.join(getPackCountriesDir(), `${key}.json`);
+    const codes = readCountryCodes(fs.existsSync(packFile) ? packFile : findBundledCountryFile(key));
+    return { key, name: codes.name || key.replace(/_/g, ' '), iso2: codes.iso2, iso3: codes.iso3 };
+  });
+  linkCountryIndex = { key: storeKey, match: buildCountryMatcher({ countries }) };
+  return linkCountryIndex.match;
+};
+
+// indicator ids a link may name: the catalog plus the pack catalog file and the user's own series
+const linkIndicatorIds = () => {
+  const packCatalog = readJsonFile(path.join(getIndicatorsDir(), CATALOG_FILE));
+  return new Set([
+    ...Object.keys(INDICATOR_CATALOG),
+    ...Object.keys((packCatalog && packCatalog.indicators) || {}),
+    ...loadApiSettings().indicators.map(e => e.id),
+    ...loadUserIndicators().map(u => u.id),
+    ...loadDerivedIndicators().map(d => d.id),
+  ]);
+};
+
+// map country names / ISO codes in a route to country keys; countries and indicator ids nobody knows
+// are listed in `unresolved` and `unknownIndicators`
+const resolveLinkRoute = async (route) => {
+  try {
+    const match = await getLinkCountryMatcher();
+    const unresolved = [];
+    const resolve = (value) => {
+      const key = match(String(value).replace(/_/g, ' '), 'auto');
+      if (!key) unresolved.push(value);
+      return key || value;
+    };
+    const target = route.view === 'country' && route.target ? resolve(route.target) : route.target;
+    const known = linkIndicatorIds();
+    const ids = route.view === 'ranking' || route.view === 'map' ? [route.target, ...route.indicators] : route.indicators;
+    const unknownIndicators = ids.filter(id => id && !known.has(id));
+    return { ...route, target, countries: route.countries.map(resolve), unresolved, unknownIndicators };
+  } catch (err) {
+    log.warn('could not resolve link route', { err: err && err.message });
+    return route;
+  }
+};
+
+// route that arrived before the renderer could receive it; the renderer collects it with take-pending-link
+let pendingLink = linkFromArgv(process.argv);
+
+const deliverLink = async (route) => {
+  if (!route) return;
+  const resolved = await resolveLinkRoute(route);
+  log.info('Opening link', { link: buildLink(resolved) });
+  if (!mainWindow) {
+    pendingLink = resolved;
+    if (app.isReady()) createWindow().catch(err => log.error('createWindow() threw', { err: err && err.stack }));
+    return;
+  }
+  if (mainWindow.isMinimized()) mainWindow.restore();
+  mainWindow.focus();
+  if (mainWindow.webContents.isLoading()) pendingLink = resolved;
+  else mainWindow.webContents.send('open-link', resolved);
+};
+
+if (gotInstanceLock) {
+  // dev runs as `electron .`, so the registration has to include the app path
+  if (process.defaultApp && process.argv.length >= 2) app.setAsDefaultProtocolClient(LINK_PROTOCOL, process.execPath, [path.resolve(process.argv[1])]);
+  else app.setAsDefaultProtocolClient(LINK_PROTOCOL);
+
+  app.on('second-instance', (event, argv) => {
+    log.info('Second instance launched', { argv });
+    const route = linkFromArgv(argv);
+    if (route) deliverLink(route);
+    else if (mainWindow) {
+      if (mainWindow.isMinimized()) mainWindow.restore();
+      mainWindow.focus();
+    }
+  });
+
+  // macOS delivers protocol launches as an event, possibly before ready
+  app.on('open-url', (event, url) => {
+    event.preventDefault();
+    const route = parseLink(url);
+    if (!route) return log.warn('Ignoring unrecognised link', { url });
+    if (app.isReady()) deliverLink(route);
+    else pendingLink = route;
+  });
+}
+
+// launch routes belong to the main window; secondary windows use get-window-view
+ipcMain.handle('take-pending-link', async (event) => {
+  if (!mainWindow || event.sender !== mainWindow.webContents) return null;
+  const route = pendingLink;
+  pendingLink = null;
+  return route ? resolveLinkRoute(route) : null;
+});
+
+ipcMain.handle('parse-link', async (event, link) => parseLink(link));
+
+ipcMain.handle('build-link', async (event, route) => {
+  try {
+    return { success: true, link: buildLink(route) };
+  } catch (err) {
+    return ipcError(err);
+  }
+});
+
+// "Copy link" on every view: the renderer passes its current route
+ipcMain.handle('copy-link', async (event, route) => {
+  try {
+    const link = buildLink(route);
+    clipboard.writeText(link);
+    return { success: true, link };
+  } catch (err) {
+    return ipcError(err);
+  }
+});
+
+// ------------------------
+// Windows
+// ------------------------
+// Any number of windows share this process, so the data cache, workspaces and settings are shared and
+// changes reach every window through sendToRenderer. What each window shows is its own: a route in the
+// deep-link shape ({ view, target, indicators, countries, ... }), null for the default home view.
+// Bounds and routes of the open windows are written to window_state.json and reopened on the next launch.
+const WINDOW_STATE_FILE = 'window_state.json';
+const NEW_WINDOW_VIEWS = ['country', 'compare', 'ranking'];
+const MAX_RESTORED_WINDOWS = 8;
+
+const windowRoutes = new Map();
+let quitting = false;
+// offscreen windows used to rasterize charts and print reports; never app windows
+const hiddenWindows = new WeakSet();
+
+const appWindows = () => BrowserWindow.getAllWindows().filter(w => !hiddenWindows.has(w));
+
+const getWindowStateFile = () => path.join(app.getPath('userData'), WINDOW_STATE_FILE);
+
+// same validation as a worlddata:// link
+const normalizeRoute = (route) => {
+  if (!route) return null;
+  try { return parseLink(buildLink(route)); } catch (e) { return null; }
+};
+
+// saved bounds are only reused when they still overlap a connected display
+const usableBounds = (bounds) => {
+  if (!bounds || ![bounds.x, bounds.y, bounds.width, bounds.height].every(Number.isFinite)) return {};
+  const size = { width: Math.max(800, Math.round(bounds.width)), height: Math.max(600, Math.round(bounds.height)) };
+  try {
+    const visible = screen.getAllDisplays().some(({ workArea: a }) => bounds.x < a.x + a.width && bounds.x + size.width > a.x && bounds.y < a.y + a.height && bounds.y + size.height > a.y);
+    return visible ? { x: Math.round(bounds.x), y: Math.round(bounds.y), ...size } : size;
+  } catch (e) {
+    return size;
+  }
+};
+
+// main window first, so it is the one that gets the main role again on restore
+const saveWindowState = (windows) => {
+  const open = windows.filter(w => !w.isDestroyed()).sort((a, b) => (a === mainWindow ? -1 : b === mainWindow ? 1 : a.id - b.id));
+  const records = open.map(w => ({ bounds: w.getNormalBounds(), maximized: w.isMaximized(), route: windowRoutes.get(w.id) || null }));
+  try {
+    ensureDir(path.dirname(getWindowStateFile()));
+    fs.writeFileSync(getWindowStateFile(), JSON.stringify({ version: 1, windows: records }, null, 2));
+  } catch (err) {
+    log.warn('failed to save window state', { err: err && err.message });
+  }
+};
+
+const restoreWindows = async () => {
+  const raw = readJsonFile(getWindowStateFile());
+  const records = (raw && Array.isArray(raw.windows) ? raw.windows : []).slice(0, MAX_RESTORED_WINDOWS);
+  if (!records.length) return createWindow();
+  log.info('Restoring windows', { count: records.length });
+  const [first, ...others] = records;
+  const main = await createWindow({ bounds: first.bounds, maximized: first.maximized, route: normalizeRoute(first.route) });
+  for (const record of others) {
+    // eslint-disable-next-line no-await-in-loop
+    await createWindow({ bounds: record.bounds, maximized: record.maximized, route: normalizeRoute(record.route) });
+  }
+  if (main && !main.isDestroyed()) main.focus();
+  return main;
+};
+
+// with no window left the state was already saved when the last one closed
+app.on('before-quit', () => {
+  if (quitting || !gotInstanceLock) return;
+  quitting = true;
+  const windows = appWindows();
+  if (windows.length) saveWindowState(windows);
+});
+
+const dialogParent = () => BrowserWindow.getFocusedWindow() || mainWindow || undefined;
+
+// "Open in new window" for a country detail, comparison or ranking
+ipcMain.handle('open-in-new-window', async (event, route) => {
+  const normalized = normalizeRoute(route);
+  if (!normalized || !NEW_WINDOW_VIEWS.includes(normalized.view)) return { success: false, error: `cannot open ${route && route.view} in a new window` };
+  try {
+    // cascade from the window that asked
+    const opener = senderWindow(event);
+    const from = opener && !opener.isDestroyed() ? opener.getBounds() : null;
+    const bounds = from ? { ...from, x: from.x + 32, y: from.y + 32 } : undefined;
+    const win = await createWindow({ route: await resolveLinkRoute(normalized), bounds });
+    return { success: true, windowId: win.id };
+  } catch (err) {
+    return ipcError(err, 'error', 'open-in-new-window failed');
+  }
+});
+
+// the route this window was opened with (or last reported); null means the default view
+ipcMain.handle('get-window-view', async (event) => {
+  const win = senderWindow(event);
+  return win ? windowRoutes.get(win.id) || null : null;
+});
+
+// the renderer reports navigation so the window reopens on the same view next launch
+ipcMain.handle('set-window-view', async (event, route) => {
+  const win = senderWindow(event);
+  if (!win) return false;
+  windowRoutes.set(win.id, normalizeRoute(route));
+  return true;
+});
+
 // ------------------------
 // Indicator management IPC
 // ------------------------
@@ -199,7 +550,7 @@ const ensureDir = (dir) => {
  *  - In production, attempt to store next to the installed executable (installDir/indicators) if writable
  *  - Fallback to app.getPath('userData')/indicators
  */
-const getIndicatorsDir = () => {
+const resolveIndicatorsDir = () => {
   try {
     if (!isDev) {
       // Candidate: dir next to the executable
@@ -229,6 +580,14 @@ const getIndicatorsDir = () => {
   return ud;
 };
 
+// the writability probe touches the disk and logs, so resolve once and reuse while the dir exists
+let resolvedIndicatorsDir = null;
+const getIndicatorsDir = () => {
+  if (resolvedIndicatorsDir && fs.existsSync(resolvedIndicatorsDir)) return resolvedIndicatorsDir;
+  resolvedIndicatorsDir = resolveIndicatorsDir();
+  return resolvedIndicatorsDir;
+};
+
 const readInstalledIndicatorVersion = async () => {
   try {
     const versionFile = path.join(getIndicatorsDir(), 'indicator_version');
@@ -259,11 +618,11 @@ ipcMain.handle('check-indicators-version', async (event, url) => {
           resolve({ success: true, version: ver });
         });
       });
-      req.on('error', (err) => { log.warn('check-indicators-version error', { err: err && err.message }); resolve({ success: false, error: String(err && err.message) }); });
+      req.on('error', (err) => { log.warn('check-indicators-version error', { err: err && err.message }); resolve(ipcError(err)); });
       req.on('timeout', () => { req.destroy(); resolve({ success: false, error: 'timeout' }); });
     } catch (err) {
       log.error('check-indicators-version threw', { err: err && err.message });
-      resolve({ success: false, error: String(err && err.message) });
+      resolve(ipcError(err));
     }
   });
 });
@@ -307,117 +666,639 @@ ipcMain.handle('delete-indicator-token', async () => {
   }
 });
 
-// Pull indicators from GitHub and write them into the indicators dir
-const performDownloadIndicators = async (opts) => {
-  // opts: { owner, repo, branch, token, version }
-  const owner = (opts && opts.owner) || '';
-  const repo = (opts && opts.repo) || '';
-  const branch = (opts && opts.branch) || 'main';
-  let token = (opts && opts.token) || null;
-  if (!owner || !repo) return { success: false, error: 'missing owner or repo' };
+// ------------------------
+// Pack staging, validation and swap
+// ------------------------
+// A pack is the indicators/ folder plus indicator_version and its manifest. Updates are written to .staging and only
+// swapped in when every file validated; the replaced pack is kept in .previous for rollback.
+const STAGING_DIR = '.staging';
+const PREVIOUS_DIR = '.previous';
+// written before a swap starts and removed once it completed; finding it at startup means the swap was
+// interrupted, and recoverPackSwap() puts the old pack back
+const SWAP_JOURNAL = '.swap.json';
+const ROLLBACK_DIR = '.rollback';
+// pack_manifest.json maps each file to its git blob sha, so updates only fetch what changed
+const PACK_MANIFEST = 'pack_manifest.json';
+// indicator_catalog.json is optional; when a pack ships one it is swapped in with the pack
+const PACK_ENTRIES = ['indicators', 'indicator_version', PACK_MANIFEST, 'indicator_catalog.json'];
+
+// returns an error message, or null when the file is a country pack of {indicator_name, data[]} series
+const validatePackFile = (buf) => {
+  let parsed;
+  try { parsed = JSON.parse(buf.toString('utf8')); } catch (e) { return `invalid JSON: ${e.message}`; }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) return 'not an object';
+  const entries = Object.entries(parsed);
+  if (!entries.length) return 'no indicators';
+  const bad = entries.find(([, series]) => !isIndicatorSeries(series) || typeof series.indicator_name !== 'string');
+  return bad ? `indicator ${bad[0]} is not {indicator_name, data[]}` : null;
+};
+
+const removeDir = (dir) => {
+  try { fs.rmSync(dir, { recursive: true, force: true }); } catch (e) { log.warn('removeDir failed', { dir, err: e && e.message }); }
+};
 
-  // fallback to stored token if none provided
-  if (!token && keytar) {
-    try { token = await keytar.getPassword(KEYTAR_SERVICE, 'indicator'); } catch (e) { log.warn('failed to read token from keytar', { err: e && e.message }); }
+// journal-driven undo, used both when a swap throws and at startup after a crash mid-swap. An incoming
+// entry counts as placed when it is live, gone from srcDir and (if the live pack had one) the old copy
+// already sits in backupDir; placed entries go back to srcDir, then moved old entries come back.
+const undoPackSwap = (root, journal) => {
+  for (const name of journal.incoming) {
+    const live = path.join(root, name);
+    const placed = fs.existsSync(live) && !fs.existsSync(path.join(journal.srcDir, name))
+      && (!journal.existing.includes(name) || fs.existsSync(path.join(journal.backupDir, name)));
+    if (placed) fs.renameSync(live, path.join(journal.srcDir, name));
+  }
+  for (const name of journal.existing) {
+    const backup = path.join(journal.backupDir, name);
+    if (!fs.existsSync(path.join(root, name)) && fs.existsSync(backup)) fs.renameSync(backup, path.join(root, name));
   }
+};
 
-  const indicatorsDir = getIndicatorsDir();
-  ensureDir(indicatorsDir);
-  const https = require('https');
-  const headers = { 'User-Agent': 'world-data-app' };
-  if (token) headers.Authorization = `token ${token}`;
+const writeSwapJournal = (root, journal) => {
+  const file = path.join(root, SWAP_JOURNAL);
+  const fd = fs.openSync(`${file}.tmp`, 'w');
+  try {
+    fs.writeSync(fd, JSON.stringify(journal));
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(`${file}.tmp`, file);
+};
 
-  const api = `https://api.github.com/repos/${owner}/${repo}/git/trees/${branch}?recursive=1`;
+// move the live pack into backupDir and the pack in srcDir into place. Each step is a rename and the
+// whole sequence is journaled, so a failure here or a crash part-way is undone back to the live pack.
+// opts.srcHome: where srcDir is renamed back to when an interrupted swap is undone (rollback uses it)
+const swapInPack = (srcDir, backupDir, opts) => {
+  const root = getIndicatorsDir();
+  removeDir(backupDir);
+  ensureDir(backupDir);
+  const journal = {
+    srcDir,
+    backupDir,
+    srcHome: (opts && opts.srcHome) || null,
+    existing: PACK_ENTRIES.filter(name => fs.existsSync(path.join(root, name))),
+    incoming: PACK_ENTRIES.filter(name => fs.existsSync(path.join(srcDir, name))),
+    startedAt: new Date().toISOString(),
+  };
+  writeSwapJournal(root, journal);
+  try {
+    for (const name of journal.existing) fs.renameSync(path.join(root, name), path.join(backupDir, name));
+    for (const name of journal.incoming) fs.renameSync(path.join(srcDir, name), path.join(root, name));
+  } catch (err) {
+    log.error('swapInPack failed, restoring live pack', { srcDir, err: err && err.message });
+    try {
+      undoPackSwap(root, journal);
+      fs.unlinkSync(path.join(root, SWAP_JOURNAL));
+    } catch (e) { log.error('swapInPack restore failed; will retry at next start', { err: e && e.message }); }
+    throw err;
+  }
+  // the swap is committed once the journal is gone
+  fs.unlinkSync(path.join(root, SWAP_JOURNAL));
+  removeDir(srcDir);
+  // cached merges and the cross-country index now describe the old pack
+  clearCountryCache();
+  invalidateIndicatorStore();
+};
 
-  const fetchJson = (url) => new Promise((resolve, reject) => {
+// at startup: undo a swap that never reached its commit point, and return a rollback's source dir home
+const recoverPackSwap = () => {
+  const root = getIndicatorsDir();
+  const journalFile = path.join(root, SWAP_JOURNAL);
+  const journal = readJsonFile(journalFile);
+  if (journal && Array.isArray(journal.existing) && Array.isArray(journal.incoming)) {
+    log.warn('recoverPackSwap: interrupted pack swap found, restoring the previous live pack', { startedAt: journal.startedAt });
     try {
-      const req = https.get(url, { headers, timeout: 20000 }, res => {
-        let buf = '';
-        res.on('data', d => buf += d);
-        res.on('end', () => {
-          try { resolve(JSON.parse(buf)); } catch (e) { reject(e); }
-        });
-      });
-      req.on('error', reject);
-      req.on('timeout', () => { req.destroy(); reject(new Error('timeout')); });
-    } catch (err) { reject(err); }
-  });
+      undoPackSwap(root, journal);
+      if (journal.srcHome && fs.existsSync(journal.srcDir) && !fs.existsSync(journal.srcHome)) fs.renameSync(journal.srcDir, journal.srcHome);
+      fs.unlinkSync(journalFile);
+      invalidateIndicatorStore();
+    } catch (err) {
+      log.error('recoverPackSwap failed', { err: err && err.message });
+    }
+  } else if (fs.existsSync(journalFile)) {
+    try { fs.unlinkSync(journalFile); } catch (e) { /* unreadable journal */ }
+  }
+  // a rollback stopped between taking .previous aside and journaling the swap
+  const rollbackDir = path.join(root, ROLLBACK_DIR);
+  const previousDir = path.join(root, PREVIOUS_DIR);
+  if (fs.existsSync(rollbackDir) && !fs.existsSync(path.join(root, SWAP_JOURNAL))) {
+    try {
+      if (!fs.existsSync(previousDir)) fs.renameSync(rollbackDir, previousDir);
+      else removeDir(rollbackDir);
+    } catch (err) {
+      log.warn('recoverPackSwap: could not tidy rollback dir', { err: err && err.message });
+    }
+  }
+};
+
+const readPackVersion = (dir) => {
+  try { return String(fs.readFileSync(path.join(dir, 'indicator_version'), 'utf8')).trim() || null; } catch (e) { return null; }
+};
+
+const DOWNLOAD_CONCURRENCY = 4;
+const DOWNLOAD_RETRIES = 4;
+const MAX_RATE_LIMIT_WAIT_MS = 1000 * 60 * 15;
+
+// the download in progress, so it can be cancelled and a second one refused
+let activeDownload = null;
+
+class DownloadCancelled extends Error {
+  constructor() { super('cancelled'); this.cancelled = true; }
+}
+
+// backoff wait that cancel can cut short
+const sleep = (ms, job) => new Promise((resolve, reject) => {
+  const wake = () => { clearTimeout(timer); reject(new DownloadCancelled()); };
+  const timer = setTimeout(() => { job.sleepers.delete(wake); resolve(); }, ms);
+  job.sleepers.add(wake);
+});
+
+// git's blob id: sha1 of "blob <size>\0<content>", compared against the tree entry
+const gitBlobSha = (buf) => require('crypto').createHash('sha1').update(`blob ${buf.length}\0`).update(buf).digest('hex');
+
+const readPackManifest = (dir) => {
+  const m = readJsonFile(path.join(dir, PACK_MANIFEST));
+  return m && m.files && typeof m.files === 'object' ? m : null;
+};
+
+// link unchanged files from the live pack into staging; swapped packs are never edited in place
+const linkOrCopy = (from, to) => {
+  ensureDir(path.dirname(to));
+  try { fs.unlinkSync(to); } catch (e) { /* not staged yet */ }
+  try { fs.linkSync(from, to); } catch (e) { fs.copyFileSync(from, to); }
+};
+
+const createDownloadJob = () => ({ cancelled: false, requests: new Set(), sleepers: new Set(), rateLimit: null });
+
+// broadcast to every open window: progress, updates and shared-state changes are not per-window
+const sendToRenderer = (channel, data) => {
+  for (const win of appWindows()) {
+    try {
+      if (!win.isDestroyed() && win.webContents) win.webContents.send(channel, data);
+    } catch (e) { log.warn(`failed to send ${channel}`, { err: e && e.message }); }
+  }
+};
 
+const requestBuffer = (job, url, headers) => new Promise((resolve, reject) => {
   try {
-    const treeResp = await fetchJson(api);
-    if (!treeResp || !treeResp.tree) {
-      log.warn('performDownloadIndicators: no tree found', { api, treeResp });
-      return { success: false, error: 'no tree' };
+    const client = url.startsWith('http:') ? require('http') : require('https');
+    const req = client.get(url, { headers: { 'User-Agent': 'world-data-app', ...headers }, timeout: 20000 }, res => {
+      const chunks = [];
+      res.on('data', d => chunks.push(Buffer.from(d)));
+      res.on('end', () => {
+        job.requests.delete(req);
+        const h = res.headers || {};
+        if (h['x-ratelimit-remaining'] !== undefined) {
+          job.rateLimit = { remaining: Number(h['x-ratelimit-remaining']), limit: Number(h['x-ratelimit-limit']), reset: Number(h['x-ratelimit-reset']) };
+        }
+        const status = res.statusCode || 200;
+        if (status >= 400) {
+          const err = new Error(`HTTP ${status}`);
+          err.status = status;
+          err.retryAfter = h['retry-after'] ? Number(h['retry-after']) * 1000 : null;
+          err.rateLimited = status === 429 || (status === 403 && h['x-ratelimit-remaining'] === '0');
+          return reject(err);
+        }
+        resolve(Buffer.concat(chunks));
+      });
+    });
+    job.requests.add(req);
+    req.on('error', (err) => { job.requests.delete(req); reject(job.cancelled ? new DownloadCancelled() : err); });
+    req.on('timeout', () => { req.destroy(); reject(new Error('timeout')); });
+  } catch (err) { reject(err); }
+});
+
+// retries rate limits (waiting for X-RateLimit-Reset or Retry-After), 5xx and network errors with backoff
+const fetchWithRetry = async (job, url, headers) => {
+  for (let attempt = 0; ; attempt++) {
+    if (job.cancelled) throw new DownloadCancelled();
+    // all workers share the limit, so wait for the window to reset instead of burning the last calls
+    if (job.rateLimit && job.rateLimit.remaining === 0 && job.rateLimit.reset) {
+      const waitMs = job.rateLimit.reset * 1000 - Date.now() + 1000;
+      if (waitMs > MAX_RATE_LIMIT_WAIT_MS) throw new Error('rate limit exhausted');
+      if (waitMs > 0) {
+        log.warn('fetchWithRetry: rate limited, waiting', { waitMs });
+        sendToRenderer('indicators-download-progress', { waiting: true, waitMs, rateLimit: job.rateLimit });
+        await sleep(waitMs, job);
+      }
+      job.rateLimit.remaining = null;
+    }
+    try {
+      return await requestBuffer(job, url, headers);
+    } catch (err) {
+      if (err.cancelled || job.cancelled) throw new DownloadCancelled();
+      const retryable = err.rateLimited || !err.status || err.status >= 500;
+      if (!retryable || attempt >= DOWNLOAD_RETRIES) throw err;
+      if (err.rateLimited && job.rateLimit && job.rateLimit.remaining === 0) continue;
+      const waitMs = err.retryAfter || Math.min(30000, 1000 * 2 ** attempt);
+      log.warn('fetchWithRetry: request failed, retrying', { url, status: err.status, attempt, waitMs });
+      await sleep(waitMs, job);
     }
+  }
+};
+
+const fetchJsonWithRetry = async (job, url, headers) => JSON.parse((await fetchWithRetry(job, url, headers)).toString('utf8'));
 
-    // Only download JSON files located under the 'indicators/' path in the repository
-    const jsonFiles = treeResp.tree.filter(i => {
-      const p = String(i.path || '');
-      return i && i.type === 'blob' && p.startsWith('indicators/') && p.toLowerCase().endsWith('.json');
+// pack files are installed as indicators/<Country>.json whatever the layout of the source; the catalog
+// sits at the pack root. Source paths come from remote manifests and archives, so absolute paths and ".."
+// segments are refused outright and only a bare <name>.json or one directly under an indicators/ folder
+// is accepted.
+const toPackPath = (p) => {
+  const raw = String(p || '').replace(/\\/g, '/');
+  if (!raw || raw.startsWith('/') || /^[a-z]:/i.test(raw) || raw.split('/').includes('..')) return null;
+  const segments = path.posix.normalize(raw).split('/').filter(seg => seg && seg !== '.');
+  const base = segments[segments.length - 1];
+  if (!base || base.startsWith('.')) return null;
+  if (base === CATALOG_FILE) return CATALOG_FILE;
+  if (!base.toLowerCase().endsWith('.json')) return null;
+  if (segments.length === 1 || segments[segments.length - 2] === 'indicators') return `indicators/${base}`;
+  return null;
+};
+
+// dir + a pack-relative path, refusing anything that would land outside dir
+const packFilePath = (dir, rel) => {
+  const root = path.resolve(dir);
+  const full = path.resolve(root, rel);
+  if (toPackPath(rel) !== rel || !full.startsWith(root + path.sep)) throw new Error(`refusing pack path ${rel}`);
+  return full;
+};
+
+const sha256 = (buf) => require('crypto').createHash('sha256').update(buf).digest('hex');
+
+// Minimal zip reader (stored and deflated entries, no zip64) so local archives need no extra dependency
+const readZipEntries = (filePath) => {
+  const buf = fs.readFileSync(filePath);
+  let eocd = -1;
+  for (let i = buf.length - 22; i >= Math.max(0, buf.length - 65557); i--) {
+    if (buf.readUInt32LE(i) === 0x06054b50) { eocd = i; break; }
+  }
+  if (eocd < 0) throw new Error('not a zip file');
+  const count = buf.readUInt16LE(eocd + 10);
+  let off = buf.readUInt32LE(eocd + 16);
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    if (buf.readUInt32LE(off) !== 0x02014b50) throw new Error('corrupt zip central directory');
+    const nameLen = buf.readUInt16LE(off + 28);
+    entries.push({
+      name: buf.toString('utf8', off + 46, off + 46 + nameLen),
+      flags: buf.readUInt16LE(off + 8),
+      method: buf.readUInt16LE(off + 10),
+      crc: buf.readUInt32LE(off + 16),
+      compressedSize: buf.readUInt32LE(off + 20),
+      size: buf.readUInt32LE(off + 24),
+      localOffset: buf.readUInt32LE(off + 42),
     });
-    log.info('performDownloadIndicators: found json files under indicators/', { count: jsonFiles.length });
+    off += 46 + nameLen + buf.readUInt16LE(off + 30) + buf.readUInt16LE(off + 32);
+  }
+  const read = (entry) => {
+    if (entry.flags & 1) throw new Error('encrypted zip entries are not supported');
+    const lo = entry.localOffset;
+    const start = lo + 30 + buf.readUInt16LE(lo + 26) + buf.readUInt16LE(lo + 28);
+    const data = buf.subarray(start, start + entry.compressedSize);
+    if (entry.method === 0) return Buffer.from(data);
+    if (entry.method === 8) return require('zlib').inflateRawSync(data);
+    throw new Error(`unsupported zip compression method ${entry.method}`);
+  };
+  return { entries, read };
+};
+
+const listFolderPackFiles = (dir) => {
+  const packDir = fs.existsSync(path.join(dir, PACK_SUBDIR)) ? path.join(dir, PACK_SUBDIR) : dir;
+  const entry = (rel, full) => {
+    const st = fs.statSync(full);
+    return { path: rel, sha: `${st.size}-${Math.round(st.mtimeMs)}`, full };
+  };
+  const files = listJsonNames(packDir)
+    .filter(name => name !== CATALOG_FILE.replace(/\.json$/, ''))
+    .map(name => entry(`indicators/${name}.json`, path.join(packDir, `${name}.json`)));
+  if (fs.existsSync(path.join(dir, CATALOG_FILE))) files.push(entry(CATALOG_FILE, path.join(dir, CATALOG_FILE)));
+  return files;
+};
+
+/**
+ * Source providers. Each one describes a pack location:
+ *  - key: stable identity, used to decide whether staged files can be resumed
+ *  - version: the version the source currently offers (null when unavailable)
+ *  - list: pack files as { path: 'indicators/<Country>.json', sha } where sha identifies the content
+ *  - read: one file's bytes, verified against the listing where the source allows it
+ * ctx carries the download job (for cancel and rate limits) and per-run caches.
+ */
+const PACK_SOURCE_TYPES = {
+  github: {
+    key: (s) => `github:${s.owner}/${s.repo}@${s.branch || 'main'}`,
+    validate: (s) => (!s.owner || !s.repo ? 'owner and repo are required' : null),
+    headers: (ctx) => ({ Accept: 'application/vnd.github+json', ...(ctx.token ? { Authorization: `token ${ctx.token}` } : {}) }),
+    version: async (s, ctx) => {
+      if (s.versionUrl) return String(await fetchWithRetry(ctx.job, s.versionUrl, {})).trim() || null;
+      // without a version file the branch's tree sha changes whenever the pack does
+      const tree = await fetchJsonWithRetry(ctx.job, `https://api.github.com/repos/${s.owner}/${s.repo}/git/trees/${s.branch || 'main'}`, PACK_SOURCE_TYPES.github.headers(ctx));
+      return (tree && tree.sha) || null;
+    },
+    list: async (s, ctx) => {
+      const api = `https://api.github.com/repos/${s.owner}/${s.repo}/git/trees/${s.branch || 'main'}?recursive=1`;
+      const treeResp = await fetchJsonWithRetry(ctx.job, api, PACK_SOURCE_TYPES.github.headers(ctx));
+      if (!treeResp || !treeResp.tree) throw new Error('no tree');
+      // Only download JSON files located under the 'indicators/' path in the repository, plus the catalog
+      return treeResp.tree
+        .filter(i => i && i.type === 'blob' && (i.path === CATALOG_FILE || String(i.path || '').startsWith('indicators/')))
+        .map(i => ({ path: toPackPath(i.path), sha: i.sha }))
+        .filter(i => i.path);
+    },
+    read: async (s, item, ctx) => {
+      const blob = await fetchJsonWithRetry(ctx.job, `https://api.github.com/repos/${s.owner}/${s.repo}/git/blobs/${item.sha}`, PACK_SOURCE_TYPES.github.headers(ctx));
+      if (!blob || !blob.content) throw new Error('no content');
+      const buf = Buffer.from(blob.content, blob.encoding || 'base64');
+      if (gitBlobSha(buf) !== item.sha) throw new Error('sha mismatch');
+      return buf;
+    },
+  },
+  // <baseUrl>/manifest.json: { version, files: [{ path, sha256 }] }, files served at <baseUrl>/<path>
+  http: {
+    key: (s) => `http:${s.baseUrl}`,
+    validate: (s) => (!/^https?:\/\//i.test(s.baseUrl || '') ? 'baseUrl must be an http(s) URL' : null),
+    manifest: async (s, ctx) => {
+      if (!ctx.manifest) ctx.manifest = await fetchJsonWithRetry(ctx.job, `${s.baseUrl.replace(/\/+$/, '')}/manifest.json`, {});
+      return ctx.manifest;
+    },
+    version: async (s, ctx) => {
+      const m = await PACK_SOURCE_TYPES.http.manifest(s, ctx);
+      return (m && m.version && String(m.version)) || null;
+    },
+    list: async (s, ctx) => {
+      const m = await PACK_SOURCE_TYPES.http.manifest(s, ctx);
+      if (!m || !Array.isArray(m.files)) throw new Error('manifest has no files');
+      return m.files
+        .map(f => ({ path: toPackPath(f.path), url: f.path, sha: f.sha256 || null }))
+        .filter(f => f.path);
+    },
+    read: async (s, item, ctx) => {
+      const url = `${s.baseUrl.replace(/\/+$/, '')}/${String(item.url).split('/').map(encodeURIComponent).join('/')}`;
+      const buf = await fetchWithRetry(ctx.job, url, {});
+      if (item.sha && sha256(buf) !== item.sha) throw new Error('sha256 mismatch');
+      return buf;
+    },
+  },
+  zip: {
+    key: (s) => `zip:${s.path}`,
+    validate: (s) => (!s.path || !/\.zip$/i.test(s.path) ? 'path must be a .zip file' : null),
+    open: (s, ctx) => {
+      if (!ctx.zip) ctx.zip = readZipEntries(s.path);
+      return ctx.zip;
+    },
+    version: async (s, ctx) => {
+      if (!fs.existsSync(s.path)) return null;
+      const zip = PACK_SOURCE_TYPES.zip.open(s, ctx);
+      const entry = zip.entries.filter(e => /(^|\/)indicator_version$/i.test(e.name)).sort((a, b) => a.name.length - b.name.length)[0];
+      if (entry) return zip.read(entry).toString('utf8').trim() || null;
+      const st = fs.statSync(s.path);
+      return `zip-${st.size}-${Math.round(st.mtimeMs)}`;
+    },
+    list: async (s, ctx) => PACK_SOURCE_TYPES.zip.open(s, ctx).entries
+      .filter(e => !e.name.endsWith('/'))
+      .map(e => ({ path: toPackPath(e.name), sha: `${e.crc.toString(16)}-${e.size}`, entry: e }))
+      .filter(f => f.path),
+    read: async (s, item, ctx) => PACK_SOURCE_TYPES.zip.open(s, ctx).read(item.entry),
+  },
+  // <dir>/indicators/*.json (or *.json directly in dir) with an optional indicator_version file
+  folder: {
+    key: (s) => `folder:${s.path}`,
+    validate: (s) => (!s.path ? 'path is required' : null),
+    version: async (s) => {
+      if (!fs.existsSync(s.path)) return null;
+      const versionFile = path.join(s.path, 'indicator_version');
+      if (fs.existsSync(versionFile)) return String(fs.readFileSync(versionFile, 'utf8')).trim() || null;
+      const files = listFolderPackFiles(s.path);
+      if (!files.length) return null;
+      return `folder-${files.length}-${require('crypto').createHash('sha1').update(files.map(f => f.sha).join(',')).digest('hex').slice(0, 12)}`;
+    },
+    list: async (s) => listFolderPackFiles(s.path),
+    read: async (s, item) => fs.readFileSync(item.full),
+  },
+};
+
+const getSourceProvider = (source) => {
+  const provider = source && PACK_SOURCE_TYPES[source.type];
+  if (!provider) throw new Error(`unknown source type ${source && source.type}`);
+  return provider;
+};
+
+// the stored token is only sent to GitHub
+const sourceContext = async (source, job, token) => {
+  let t = token || null;
+  if (!t && source.type === 'github' && keytar) {
+    try { t = await keytar.getPassword(KEYTAR_SERVICE, 'indicator'); } catch (e) { log.warn('failed to read token from keytar', { err: e && e.message }); }
+  }
+  return { job, token: t };
+};
+
+const checkSourceVersion = async (source) => {
+  try {
+    const provider = getSourceProvider(source);
+    return await provider.version(source, await sourceContext(source, createDownloadJob()));
+  } catch (err) {
+    log.warn('checkSourceVersion failed', { source: source && source.id, err: err && err.message });
+    return null;
+  }
+};
+
+// every way out of installPack ends with indicators-download-complete, so progress UI never hangs;
+// `running` marks the refusal of a second download, which says nothing about the one in progress
+const downloadFinished = (result) => {
+  sendToRenderer('indicators-download-complete', result);
+  return result;
+};
+
+// Copy changed pack files from a source into the staging dir and swap them in on full success.
+// Unchanged files (per the installed manifest) are reused, and files already staged by an interrupted
+// or cancelled run of the same source are kept, so calling again resumes.
+const installPack = async (source, opts) => {
+  if (activeDownload) return downloadFinished({ success: false, running: true, error: 'download already running' });
+  let provider;
+  try {
+    provider = getSourceProvider(source);
+    const invalid = provider.validate(source);
+    if (invalid) return downloadFinished({ success: false, error: invalid });
+  } catch (err) {
+    return downloadFinished(ipcError(err));
+  }
+
+  const job = createDownloadJob();
+  activeDownload = job;
+
+  const indicatorsDir = getIndicatorsDir();
+  const stagingDir = path.join(indicatorsDir, STAGING_DIR);
+  const sourceKey = provider.key(source);
+  const describe = { source: sourceKey, type: source.type, owner: source.owner, repo: source.repo, branch: source.branch };
+
+  try {
+    const ctx = await sourceContext(source, job, opts && opts.token);
+    const version = (opts && opts.version) || await provider.version(source, ctx);
+    // providers map paths through toPackPath already; anything else is dropped here as well
+    const listed = await provider.list(source, ctx);
+    const files = listed.filter(item => toPackPath(item.path) === item.path);
+    if (files.length !== listed.length) log.warn('installPack: ignoring unsafe pack paths', { source: sourceKey, paths: listed.filter(i => !files.includes(i)).map(i => i.path).slice(0, 20) });
+    log.info('installPack: files listed', { source: sourceKey, count: files.length, version });
+    if (!files.length) return downloadFinished({ success: false, error: 'no indicator files in source' });
+
+    // staged files from an earlier run of the same source are kept; anything else starts over
+    let staged = readPackManifest(stagingDir);
+    if (!staged || staged.source !== sourceKey) {
+      removeDir(stagingDir);
+      staged = { format: 1, source: sourceKey, files: {} };
+    }
+    ensureDir(stagingDir);
+    const installed = readPackManifest(indicatorsDir);
+    const saveStaged = () => fs.writeFileSync(path.join(stagingDir, PACK_MANIFEST), JSON.stringify(staged));
+
+    const todo = [];
+    let reused = 0;
+    for (const item of files) {
+      const rel = item.path;
+      const stagedPath = packFilePath(stagingDir, rel);
+      if (item.sha && staged.files[rel] === item.sha && fs.existsSync(stagedPath)) { reused++; continue; }
+      const livePath = packFilePath(indicatorsDir, rel);
+      if (item.sha && installed && installed.files[rel] === item.sha && fs.existsSync(livePath)) {
+        linkOrCopy(livePath, stagedPath);
+        staged.files[rel] = item.sha;
+        reused++;
+        continue;
+      }
+      todo.push(item);
+    }
+    // files no longer in the source must not survive from an earlier staging run
+    const wanted = new Set(files.map(i => i.path));
+    for (const rel of Object.keys(staged.files)) {
+      if (wanted.has(rel)) continue;
+      delete staged.files[rel];
+      try { fs.unlinkSync(packFilePath(stagingDir, rel)); } catch (e) { /* already gone or unsafe */ }
+    }
+    saveStaged();
 
     const downloaded = [];
     const errors = [];
+    const total = files.length;
+    log.info('installPack: incremental plan', { total, fetch: todo.length, reused });
 
     // Notify renderer that download is starting (include total files)
-    try {
-      const total = jsonFiles.length;
-      if (mainWindow && mainWindow.webContents) mainWindow.webContents.send('indicators-download-start', { owner, repo, branch, total });
-    } catch (e) { log.warn('failed to send indicators-download-start', { err: e && e.message }); }
+    sendToRenderer('indicators-download-start', { ...describe, total, fetch: todo.length, reused });
 
-    let i = 0;
-    for (const item of jsonFiles) {
-      i++;
-      try {
-        const contentUrl = `https://api.github.com/repos/${owner}/${repo}/contents/${encodeURIComponent(item.path)}?ref=${branch}`;
-        const fileResp = await fetchJson(contentUrl);
-        if (fileResp && fileResp.content) {
-          const buf = Buffer.from(fileResp.content, fileResp.encoding || 'base64');
-          const outPath = path.join(indicatorsDir, item.path.replace(/\\/g,'/'));
-          const outDir = path.dirname(outPath);
-          ensureDir(outDir);
+    let next = 0;
+    const worker = async () => {
+      while (next < todo.length && !job.cancelled) {
+        const item = todo[next++];
+        try {
+          const buf = await provider.read(source, item, ctx);
+          const invalid = item.path === CATALOG_FILE ? validateCatalogFile(buf) : validatePackFile(buf);
+          if (invalid) {
+            errors.push({ path: item.path, error: invalid });
+            continue;
+          }
+          const outPath = packFilePath(stagingDir, item.path);
+          ensureDir(path.dirname(outPath));
           fs.writeFileSync(outPath, buf);
+          staged.files[item.path] = item.sha || sha256(buf);
+          saveStaged();
           downloaded.push(item.path);
-
-          // progress update
-          try {
-            if (mainWindow && mainWindow.webContents) mainWindow.webContents.send('indicators-download-progress', { current: i, total: jsonFiles.length, path: item.path });
-          } catch (e) { log.warn('failed to send indicators-download-progress', { err: e && e.message }); }
-        } else {
-          errors.push({ path: item.path, error: 'no content' });
+          sendToRenderer('indicators-download-progress', { current: reused + downloaded.length, total, path: item.path, rateLimit: job.rateLimit });
+        } catch (err) {
+          if (err.cancelled) return;
+          log.warn('installPack file fetch failed', { path: item.path, err: err && err.message });
+          errors.push({ path: item.path, error: String(err && err.message) });
         }
-      } catch (err) {
-        log.warn('performDownloadIndicators file fetch failed', { path: item.path, err: err && err.message });
-        errors.push({ path: item.path, error: String(err && err.message) });
       }
-    }
+    };
+    await Promise.all(Array.from({ length: Math.min(DOWNLOAD_CONCURRENCY, todo.length) }, worker));
 
-    // write version file if provided
-    if (opts && opts.version) {
-      try { fs.writeFileSync(path.join(indicatorsDir, 'indicator_version'), String(opts.version)); } catch (e) { log.warn('failed to write indicator_version', { err: e && e.message }); }
+    // a partial pack is never installed; what was staged is kept so the next call resumes
+    if (job.cancelled || errors.length) {
+      const failed = {
+        success: false,
+        cancelled: job.cancelled,
+        resumable: true,
+        error: job.cancelled ? 'cancelled' : 'some files failed to download or validate',
+        downloaded: downloaded.length,
+        reused,
+        remaining: total - Object.keys(staged.files).length,
+        errors,
+        dir: indicatorsDir,
+      };
+      log.warn('installPack: pack not installed', { cancelled: job.cancelled, errors: errors.length, remaining: failed.remaining });
+      return downloadFinished(failed);
     }
 
-    const result = { success: true, downloaded: downloaded.length, errors, dir: indicatorsDir };
-
-    // notify renderer that download completed
-    try {
-      if (mainWindow && mainWindow.webContents) mainWindow.webContents.send('indicators-download-complete', result);
-    } catch (e) { log.warn('failed to send indicators-download-complete', { err: e && e.message }); }
+    staged.version = version || null;
+    saveStaged();
+    if (version) fs.writeFileSync(path.join(stagingDir, 'indicator_version'), String(version));
+    swapInPack(stagingDir, path.join(indicatorsDir, PREVIOUS_DIR));
+    log.info('installPack: pack installed', { source: sourceKey, version, fetched: downloaded.length, reused });
 
-    return result;
+    return downloadFinished({ success: true, version: version || null, source: sourceKey, downloaded: downloaded.length, reused, errors, dir: indicatorsDir });
   } catch (err) {
-    log.error('performDownloadIndicators threw', { err: err && err.message });
-    try {
-      if (mainWindow && mainWindow.webContents) mainWindow.webContents.send('indicators-download-complete', { success: false, error: String(err && err.message) });
-    } catch (e) { log.warn('failed to send indicators-download-complete', { err: e && e.message }); }
-    return { success: false, error: String(err && err.message) };
+    const cancelled = !!(err && err.cancelled);
+    if (!cancelled) log.error('installPack threw', { source: sourceKey, err: err && err.message });
+    return downloadFinished({ success: false, cancelled, resumable: fs.existsSync(stagingDir), error: String(err && err.message) });
+  } finally {
+    activeDownload = null;
   }
 };
 
+// Pull indicators from a GitHub repo (the original download-indicators API)
+const performDownloadIndicators = async (opts) => {
+  // opts: { owner, repo, branch, token, version }
+  const owner = (opts && opts.owner) || '';
+  const repo = (opts && opts.repo) || '';
+  if (!owner || !repo) return downloadFinished({ success: false, error: 'missing owner or repo' });
+  return await installPack({ type: 'github', owner, repo, branch: (opts && opts.branch) || 'main' }, opts);
+};
+
+ipcMain.handle('cancel-indicators-download', async () => {
+  if (!activeDownload) return false;
+  log.info('IPC: cancel-indicators-download');
+  activeDownload.cancelled = true;
+  for (const wake of activeDownload.sleepers) wake();
+  for (const req of activeDownload.requests) req.destroy();
+  return true;
+});
+
 ipcMain.handle('download-indicators', async (event, opts) => {
   log.info('IPC: download-indicators (handler) called', { owner: opts && opts.owner, repo: opts && opts.repo, branch: opts && opts.branch });
-  return await performDownloadIndicators(opts);
+  const result = await performDownloadIndicators(opts);
+  // an install the user asked for overrides a version skipped by an earlier rollback
+  if (result.success) clearSkippedVersion();
+  return result;
+});
+
+ipcMain.handle('get-previous-indicators-version', async () => {
+  const dir = path.join(getIndicatorsDir(), PREVIOUS_DIR);
+  if (!fs.existsSync(path.join(dir, 'indicators'))) return null;
+  return { version: readPackVersion(dir) };
+});
+
+// swap the previous pack back in; the pack being replaced becomes the new previous, so rollback can be undone
+ipcMain.handle('rollback-indicators', async () => {
+  log.info('IPC: rollback-indicators');
+  const root = getIndicatorsDir();
+  const previousDir = path.join(root, PREVIOUS_DIR);
+  if (!fs.existsSync(path.join(previousDir, 'indicators'))) return { success: false, error: 'no previous pack' };
+  const restoreDir = path.join(root, ROLLBACK_DIR);
+  try {
+    const rolledBackFrom = await readInstalledIndicatorVersion();
+    removeDir(restoreDir);
+    fs.renameSync(previousDir, restoreDir);
+    swapInPack(restoreDir, previousDir, { srcHome: previousDir });
+    const version = await readInstalledIndicatorVersion();
+    // without this the next scheduled check would reinstall the version just rolled back from
+    if (rolledBackFrom) savePackPin({ ...loadPackPin(), skipVersion: rolledBackFrom });
+    const result = { success: true, version, rolledBack: true, skipVersion: rolledBackFrom };
+    sendToRenderer('indicators-updated', result);
+    return result;
+  } catch (err) {
+    log.error('rollback-indicators failed', { err: err && err.message });
+    if (!fs.existsSync(previousDir) && fs.existsSync(restoreDir)) {
+      try { fs.renameSync(restoreDir, previousDir); } catch (e) { log.warn('failed to restore previous pack dir', { err: e && e.message }); }
+    }
+    return ipcError(err);
+  }
 });
 
 // list installed JSON files under indicators dir
@@ -428,6 +1309,8 @@ ipcMain.handle('list-indicator-files', async () => {
       let results = [];
       const entries = fs.readdirSync(dir, { withFileTypes: true });
       for (const entry of entries) {
+        // .staging / .previous hold packs that are not live
+        if (entry.name.startsWith('.')) continue;
         const rel = path.join(base, entry.name);
         const full = path.join(dir, entry.name);
         if (entry.isDirectory()) {
@@ -457,104 +1340,3748 @@ ipcMain.handle('read-indicator-file', async (event, relPath) => {
   }
 });
 
-// Periodic remote indicator version check and auto-download (production only)
-const REMOTE_VERSION_URL = 'https://raw.githubusercontent.com/xmcllabs/V_Indicators/refs/heads/main/Indicator_version';
-const AUTO_OWNER = 'xmcllabs';
-const AUTO_REPO = 'Indicators';
-const CHECK_INTERVAL_MS = 1000 * 60 * 60; // hourly
+// ------------------------
+// Unified country data source
+// ------------------------
+// Country data can come from two places: the JSON bundled with the build (dist/data/indicators, or the
+// hashed copies vite emits into dist/assets) and the pack installed by performDownloadIndicators
+// (<indicatorsDir>/indicators). Installed pack series win per indicator; bundled series fill the gaps.
+const DIST_DIR = path.join(__dirname, '../dist');
+const PACK_SUBDIR = 'indicators';
 
-const checkAndUpdateIndicators = async () => {
-  try {
-    log.info('checkAndUpdateIndicators: Starting version check', { url: REMOTE_VERSION_URL, isDev });
-    const https = require('https');
-    const fetchText = (url) => new Promise((resolve, reject) => {
+// country keys match the bundled file names ("Bahamas__The", "Cote_d'Ivoire", ...)
+// the key names the country's file in the pack and bundle dirs and comes from the renderer, so anything
+// that could reach outside those dirs (separators, a leading dot) or is not a file name gives '' (unknown)
+const toCountryKey = (name) => {
+  const key = String(name || '').replace(/ /g, '_');
+  return !key || key.startsWith('.') || /[\\/:*?"<>|\x00-\x1f]/.test(key) ? '' : key;
+};
+
+const escapeRegExp = (s) => String(s).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const readJsonFile = (file) => {
+  try {
+    if (!fs.existsSync(file)) return null;
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    log.warn('readJsonFile failed', { file, err: err && err.message });
+    return null;
+  }
+};
+
+// an indicator series is usable when it has the { indicator_name, data[] } shape the renderer expects
+const isIndicatorSeries = (series) => !!series && typeof series === 'object' && Array.isArray(series.data);
+
+const getPackCountriesDir = () => path.join(getIndicatorsDir(), PACK_SUBDIR);
+
+const findBundledCountryFile = (key) => {
+  const plain = path.join(DIST_DIR, 'data', 'indicators', `${key}.json`);
+  if (fs.existsSync(plain)) return plain;
+  try {
+    const assetsDir = path.join(DIST_DIR, 'assets');
+    const re = new RegExp(`^${escapeRegExp(key)}-[A-Za-z0-9_-]{8}\\.json$`);
+    const match = fs.readdirSync(assetsDir).find(name => re.test(name));
+    return match ? path.join(assetsDir, match) : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+const listJsonNames = (dir) => {
+  try {
+    return fs.readdirSync(dir)
+      .filter(name => name.toLowerCase().endsWith('.json'))
+      .map(name => name.replace(/\.json$/i, ''));
+  } catch (err) {
+    return [];
+  }
+};
+
+const listBundledCountries = () => {
+  const plain = listJsonNames(path.join(DIST_DIR, 'data', 'indicators'));
+  if (plain.length) return plain;
+  // vite emits "<Country>-<hash>.json"; hoverinfo modules are .js so they are not picked up here
+  return listJsonNames(path.join(DIST_DIR, 'assets'))
+    .map(name => name.replace(/-[A-Za-z0-9_-]{8}$/, ''))
+    .filter(name => name !== 'index');
+};
+
+const listPackCountries = () => listJsonNames(getPackCountriesDir());
+
+/**
+ * Merge bundled and installed pack data for one country.
+ * Every series in the result carries `source` ('pack' | 'bundled') and `packVersion` so the renderer
+ * can show where a chart's numbers came from. Indicators only present in the pack are listed in `added`.
+ */
+const mergeCountryData = (bundled, pack, packVersion) => {
+  const indicators = {};
+  const added = [];
+  for (const [id, series] of Object.entries(bundled || {})) {
+    if (!isIndicatorSeries(series)) continue;
+    indicators[id] = { ...series, source: 'bundled', packVersion: null };
+  }
+  for (const [id, series] of Object.entries(pack || {})) {
+    if (!isIndicatorSeries(series)) continue;
+    if (!indicators[id]) added.push(id);
+    indicators[id] = { ...series, source: 'pack', packVersion };
+  }
+  return { indicators, added };
+};
+
+const readCountryData = async (country) => {
+  const key = toCountryKey(country);
+  if (!key) return { country: '', source: 'none', packVersion: null, added: [], indicators: {} };
+  const packFile = path.join(getPackCountriesDir(), `${key}.json`);
+  const pack = readJsonFile(packFile);
+  const bundledFile = findBundledCountryFile(key);
+  const bundled = bundledFile ? readJsonFile(bundledFile) : null;
+  const packVersion = pack ? await readInstalledIndicatorVersion() : null;
+  const { indicators, added } = mergeCountryData(bundled, pack, packVersion);
+  let source = 'none';
+  if (pack && bundled) source = 'mixed';
+  else if (pack) source = 'pack';
+  else if (bundled) source = 'bundled';
+  return { country: key, source, packVersion, added, indicators };
+};
+
+// country keys available from either source, sorted like the renderer's list
+ipcMain.handle('list-countries', async () => {
+  try {
+    const names = new Set([...listBundledCountries(), ...listPackCountries()]);
+    return Array.from(names).filter(Boolean).sort();
+  } catch (err) {
+    log.warn('list-countries failed', { err: err && err.message });
+    return [];
+  }
+});
+
+// ------------------------
+// Country data cache
+// ------------------------
+// Country files are ~800 KB each and aggregates are larger, so merged data is cached on demand with a
+// size bound instead of holding all ~274 countries in memory. Sizes are estimated from the source files.
+const COUNTRY_CACHE_MAX_BYTES = 48 * 1024 * 1024;
+const countryCache = new Map(); // key -> { data, bytes }, insertion order doubles as LRU order
+let countryCacheBytes = 0;
+
+const estimateCountryBytes = (key) => {
+  let bytes = 0;
+  for (const file of [path.join(getPackCountriesDir(), `${key}.json`), findBundledCountryFile(key)]) {
+    try { if (file) bytes += fs.statSync(file).size; } catch (e) { /* file absent in this source */ }
+  }
+  return bytes;
+};
+
+const evictCountryCache = () => {
+  // always keep the most recently used entry, even if it alone exceeds the budget
+  while (countryCacheBytes > COUNTRY_CACHE_MAX_BYTES && countryCache.size > 1) {
+    const [oldestKey, oldest] = countryCache.entries().next().value;
+    countryCache.delete(oldestKey);
+    countryCacheBytes -= oldest.bytes;
+    log.debug('country cache evicted', { country: oldestKey, bytes: oldest.bytes });
+  }
+};
+
+const clearCountryCache = () => {
+  countryCache.clear();
+  countryCacheBytes = 0;
+};
+
+// Series layered over the pack: API, user and derived indicators each register one overlay with a
+// `country` step (adds its series to one country's merged data) and a `store` step (adds them to the
+// cross-country store). Overlays run in `order`, so later ones see earlier ones: derived formulas can
+// reference API and user series.
+const indicatorOverlays = [];
+
+const registerIndicatorOverlay = (overlay) => {
+  indicatorOverlays.push(overlay);
+  indicatorOverlays.sort((a, b) => a.order - b.order);
+};
+
+const applyCountryOverlays = (data) => indicatorOverlays.reduce((merged, overlay) => overlay.country(merged), data);
+
+// bumped whenever overlays are (re)applied, since that changes the store's series in place
+let storeOverlayRevision = 0;
+
+// from: id of an overlay whose source changed; it and every overlay after it are re-applied
+const applyStoreOverlays = (store, from) => {
+  storeOverlayRevision++;
+  const start = from ? indicatorOverlays.findIndex(overlay => overlay.id === from) : 0;
+  return indicatorOverlays.slice(Math.max(0, start)).reduce((merged, overlay) => overlay.store(merged), store);
+};
+
+const getCountryDataCached = async (country) => {
+  const key = toCountryKey(country);
+  const hit = countryCache.get(key);
+  if (hit) {
+    // re-insert to mark as most recently used
+    countryCache.delete(key);
+    countryCache.set(key, hit);
+    return hit.data;
+  }
+  const data = applyCountryOverlays(await readCountryData(key));
+  if (data && data.source !== 'none') {
+    const bytes = estimateCountryBytes(key);
+    countryCache.set(key, { data, bytes });
+    countryCacheBytes += bytes;
+    evictCountryCache();
+  }
+  return data;
+};
+
+// background prefetch (e.g. favourites) runs one country per tick so IPC stays responsive
+const prefetchQueue = [];
+let prefetchRunning = false;
+
+const runPrefetchQueue = async () => {
+  if (prefetchRunning) return;
+  prefetchRunning = true;
+  try {
+    while (prefetchQueue.length) {
+      const key = prefetchQueue.shift();
+      if (countryCache.has(key)) continue;
+      try { await getCountryDataCached(key); } catch (e) { log.warn('prefetch failed', { country: key, err: e && e.message }); }
+      // eslint-disable-next-line no-await-in-loop
+      await new Promise(resolve => setImmediate(resolve));
+    }
+  } finally {
+    prefetchRunning = false;
+  }
+};
+
+ipcMain.handle('prefetch-countries', async (event, countries) => {
+  const keys = (Array.isArray(countries) ? countries : []).map(toCountryKey).filter(Boolean);
+  for (const key of keys) {
+    if (!countryCache.has(key) && !prefetchQueue.includes(key)) prefetchQueue.push(key);
+  }
+  runPrefetchQueue().catch(err => log.warn('prefetch queue failed', { err: err && err.message }));
+  return { queued: prefetchQueue.length };
+});
+
+ipcMain.handle('get-country-cache-stats', async () => ({
+  entries: countryCache.size,
+  bytes: countryCacheBytes,
+  maxBytes: COUNTRY_CACHE_MAX_BYTES,
+  countries: Array.from(countryCache.keys()),
+}));
+
+// merged data for a single country, preferring installed pack series over bundled ones
+ipcMain.handle('get-country-data', async (event, country) => {
+  try {
+    return await getCountryDataCached(country);
+  } catch (err) {
+    log.warn('get-country-data failed', { country, err: err && err.message });
+    return null;
+  }
+});
+
+// ------------------------
+// Cross-country indicator store
+// ------------------------
+// Cross-country views (rankings, maps, scatter plots) need one indicator for every country. Rather than
+// opening every country file, the merged data is indexed once per pack into a columnar
+// indicator x country x year layout and cached on disk next to indicator_version.
+const INDICATOR_STORE_FILE = 'indicator_store.json';
+const INDICATOR_STORE_FORMAT = 1;
+let indicatorStore = null;
+// { key, generation, promise } of the build in flight; dropIndicatorStore() bumps the generation so a
+// build started before an invalidation is discarded instead of overwriting the newer state
+let indicatorStoreBuild = null;
+let indicatorStoreGeneration = 0;
+
+const getIndicatorStoreFile = () => path.join(getIndicatorsDir(), INDICATOR_STORE_FILE);
+
+// bundled data changes with the app build, installed data with the pack
+const getIndicatorStoreKey = async () => `${app.getVersion()}:${(await readInstalledIndicatorVersion()) || 'bundled'}`;
+
+const buildIndicatorStore = async (storeKey) => {
+  const keys = Array.from(new Set([...listBundledCountries(), ...listPackCountries()])).filter(Boolean).sort();
+  const countries = [];
+  const yearSet = new Set();
+  const collected = {}; // id -> { name, rows: Array<Map<year, value>> }
+
+  for (const key of keys) {
+    let data = null;
+    try { data = await readCountryData(key); } catch (e) { log.warn('indicator store: country read failed', { country: key, err: e && e.message }); }
+    const ci = countries.length;
+    const entry = { key, name: key.replace(/_/g, ' '), iso2: null, iso3: null };
+    countries.push(entry);
+    for (const [id, series] of Object.entries((data && data.indicators) || {})) {
+      if (!collected[id]) collected[id] = { name: series.indicator_name || id, rows: [] };
+      const row = new Map();
+      for (const rec of series.data) {
+        if (!rec) continue;
+        if (!entry.iso3 && rec.countryiso3code) entry.iso3 = rec.countryiso3code;
+        if (!entry.iso2 && rec.country && rec.country.id) entry.iso2 = rec.country.id;
+        if (rec.country && rec.country.value && entry.name === key.replace(/_/g, ' ')) entry.name = rec.country.value;
+        const year = parseInt(rec.date, 10);
+        if (!Number.isFinite(year)) continue;
+        yearSet.add(year);
+        if (typeof rec.value === 'number' && Number.isFinite(rec.value)) row.set(year, rec.value);
+      }
+      collected[id].rows[ci] = row;
+    }
+    // yield between countries so IPC and window events are not starved during a rebuild
+    // eslint-disable-next-line no-await-in-loop
+    await new Promise(resolve => setImmediate(resolve));
+  }
+
+  const years = Array.from(yearSet).sort((a, b) => a - b);
+  const indicators = {};
+  for (const [id, { name, rows }] of Object.entries(collected)) {
+    const values = new Float64Array(countries.length * years.length).fill(NaN);
+    rows.forEach((row, ci) => {
+      if (!row) return;
+      years.forEach((year, yi) => { if (row.has(year)) values[ci * years.length + yi] = row.get(year); });
+    });
+    indicators[id] = { name, values };
+  }
+  return { format: INDICATOR_STORE_FORMAT, key: storeKey, builtAt: new Date().toISOString(), years, countries, indicators };
+};
+
+// Float64Array with NaN for gaps in memory; plain arrays with null on disk
+const serializeIndicatorStore = (store) => JSON.stringify({
+  ...store,
+  indicators: Object.fromEntries(Object.entries(store.indicators).map(([id, ind]) => [id, { name: ind.name, values: Array.from(ind.values, v => (Number.isNaN(v) ? null : v)) }])),
+});
+
+const hydrateIndicatorStore = (raw) => ({
+  ...raw,
+  indicators: Object.fromEntries(Object.entries(raw.indicators || {}).map(([id, ind]) => [id, { name: ind.name, values: Float64Array.from(ind.values || [], v => (v === null ? NaN : v)) }])),
+});
+
+const buildOrLoadIndicatorStore = async (storeKey, generation) => {
+  const file = getIndicatorStoreFile();
+  const cached = readJsonFile(file);
+  if (cached && cached.format === INDICATOR_STORE_FORMAT && cached.key === storeKey) {
+    log.info('indicator store loaded from disk', { file, key: storeKey });
+    return hydrateIndicatorStore(cached);
+  }
+  log.info('indicator store: building', { key: storeKey });
+  const started = Date.now();
+  const built = await buildIndicatorStore(storeKey);
+  if (generation === indicatorStoreGeneration) {
+    try {
+      fs.writeFileSync(file, serializeIndicatorStore(built));
+    } catch (e) {
+      log.warn('indicator store: failed to write cache file', { file, err: e && e.message });
+    }
+  }
+  log.info('indicator store: built', { key: storeKey, countries: built.countries.length, indicators: Object.keys(built.indicators).length, ms: Date.now() - started });
+  return built;
+};
+
+const getIndicatorStore = async () => {
+  for (;;) {
+    const storeKey = await getIndicatorStoreKey();
+    if (indicatorStore && indicatorStore.key === storeKey) return indicatorStore;
+    const generation = indicatorStoreGeneration;
+    if (!indicatorStoreBuild || indicatorStoreBuild.key !== storeKey || indicatorStoreBuild.generation !== generation) {
+      indicatorStoreBuild = { key: storeKey, generation, promise: buildOrLoadIndicatorStore(storeKey, generation) };
+    }
+    const build = indicatorStoreBuild;
+    let built;
+    try {
+      built = await build.promise;
+    } finally {
+      if (indicatorStoreBuild === build) indicatorStoreBuild = null;
+    }
+    if (build.generation === indicatorStoreGeneration) {
+      if (!indicatorStore || indicatorStore.key !== build.key) indicatorStore = applyStoreOverlays(built);
+      return indicatorStore;
+    }
+    log.info('indicator store: discarding build invalidated while running', { key: build.key });
+  }
+};
+
+// forget the in-memory store (and any build in flight); the disk cache stays valid
+const dropIndicatorStore = () => {
+  indicatorStore = null;
+  indicatorStoreGeneration++;
+};
+
+const invalidateIndicatorStore = () => {
+  dropIndicatorStore();
+  try { fs.unlinkSync(getIndicatorStoreFile()); } catch (e) { /* not built yet */ }
+};
+
+const storeValue = (store, ind, ci, yi) => {
+  const v = ind.values[ci * store.years.length + yi];
+  return Number.isNaN(v) ? null : v;
+};
+
+// one country's row of an indicator as an array aligned with store.years
+const storeRow = (store, ind, ci) => store.years.map((year, yi) => storeValue(store, ind, ci, yi));
+
+ipcMain.handle('get-indicator-store-info', async () => {
+  try {
+    const store = await getIndicatorStore();
+    return {
+      key: store.key,
+      builtAt: store.builtAt,
+      years: store.years,
+      countries: store.countries,
+      indicators: Object.entries(store.indicators).map(([id, ind]) => ({ id, name: ind.name, derived: !!ind.derived, user: !!ind.user, api: !!ind.api })),
+    };
+  } catch (err) {
+    log.warn('get-indicator-store-info failed', { err: err && err.message });
+    return null;
+  }
+});
+
+/**
+ * One indicator for all countries.
+ * With `opts.year` the result has one value per country; without it, one row per country aligned with `years`.
+ */
+ipcMain.handle('get-indicator-values', async (event, id, opts) => {
+  try {
+    const store = await getIndicatorStore();
+    const ind = store.indicators[id];
+    if (!ind) return null;
+    const year = opts && opts.year !== undefined && opts.year !== null ? parseInt(opts.year, 10) : null;
+    if (year !== null) {
+      const yi = store.years.indexOf(year);
+      const values = store.countries.map((c, ci) => (yi === -1 ? null : storeValue(store, ind, ci, yi)));
+      return { id, name: ind.name, year, countries: store.countries, values };
+    }
+    return { id, name: ind.name, years: store.years, countries: store.countries, values: store.countries.map((c, ci) => storeRow(store, ind, ci)) };
+  } catch (err) {
+    log.warn('get-indicator-values failed', { id, err: err && err.message });
+    return null;
+  }
+});
+
+// ------------------------
+// Country / aggregate classification
+// ------------------------
+// The data mixes real economies with World Bank aggregates ("Arab World", "IDA only", "High income", ...)
+// under the same kind of key. Economies carry [region, income group, lending category] following the
+// World Bank FY2025 classification; aggregate membership is derived from those attributes where the
+// aggregate is defined by them, listed explicitly where it is not, and left null where it is not known.
+const REGION_NAMES = {
+  EAS: 'East Asia & Pacific',
+  ECS: 'Europe & Central Asia',
+  LCN: 'Latin America & Caribbean',
+  MEA: 'Middle East, North Africa, Afghanistan & Pakistan',
+  NAC: 'North America',
+  SAS: 'South Asia',
+  SSF: 'Sub-Saharan Africa',
+};
+
+/* eslint-disable quote-props */
+const ECONOMIES = {
+  Afghanistan: ['MEA', 'LIC', 'IDA'], Albania: ['ECS', 'UMC', 'IBRD'], Algeria: ['MEA', 'UMC', 'IBRD'],
+  American_Samoa: ['EAS', 'UMC', ''], Andorra: ['ECS', 'HIC', ''], Angola: ['SSF', 'LMC', 'IBRD'],
+  Antigua_and_Barbuda: ['LCN', 'HIC', 'IBRD'], Argentina: ['LCN', 'UMC', 'IBRD'], Armenia: ['ECS', 'UMC', 'IBRD'],
+  Aruba: ['LCN', 'HIC', ''], Australia: ['EAS', 'HIC', ''], Austria: ['ECS', 'HIC', ''],
+  Azerbaijan: ['ECS', 'UMC', 'IBRD'], Bahamas__The: ['LCN', 'HIC', ''], Bahrain: ['MEA', 'HIC', ''],
+  Bangladesh: ['SAS', 'LMC', 'IDA'], Barbados: ['LCN', 'HIC', 'IBRD'], Belarus: ['ECS', 'UMC', 'IBRD'],
+  Belgium: ['ECS', 'HIC', ''], Belize: ['LCN', 'UMC', 'IBRD'], Benin: ['SSF', 'LMC', 'IDA'],
+  Bermuda: ['NAC', 'HIC', ''], Bhutan: ['SAS', 'LMC', 'IDA'], Bolivia: ['LCN', 'LMC', 'IBRD'],
+  Bosnia_and_Herzegovina: ['ECS', 'UMC', 'IBRD'], Botswana: ['SSF', 'UMC', 'IBRD'], Brazil: ['LCN', 'UMC', 'IBRD'],
+  British_Virgin_Islands: ['LCN', 'HIC', ''], Brunei_Darussalam: ['EAS', 'HIC', ''], Bulgaria: ['ECS', 'HIC', 'IBRD'],
+  Burkina_Faso: ['SSF', 'LIC', 'IDA'], Burundi: ['SSF', 'LIC', 'IDA'], Cabo_Verde: ['SSF', 'LMC', 'Blend'],
+  Cambodia: ['EAS', 'LMC', 'IDA'], Cameroon: ['SSF', 'LMC', 'Blend'], Canada: ['NAC', 'HIC', ''],
+  Cayman_Islands: ['LCN', 'HIC', ''], Central_African_Republic: ['SSF', 'LIC', 'IDA'], Chad: ['SSF', 'LIC', 'IDA'],
+  Channel_Islands: ['ECS', 'HIC', ''], Chile: ['LCN', 'HIC', 'IBRD'], China: ['EAS', 'UMC', 'IBRD'],
+  Colombia: ['LCN', 'UMC', 'IBRD'], Comoros: ['SSF', 'LMC', 'IDA'], 'Congo__Dem._Rep.': ['SSF', 'LIC', 'IDA'],
+  'Congo__Rep.': ['SSF', 'LMC', 'Blend'], Costa_Rica: ['LCN', 'UMC', 'IBRD'], "Cote_d'Ivoire": ['SSF', 'LMC', 'IDA'],
+  Croatia: ['ECS', 'HIC', 'IBRD'], Cuba: ['LCN', 'UMC', ''], Curacao: ['LCN', 'HIC', ''],
+  Cyprus: ['ECS', 'HIC', ''], Czechia: ['ECS', 'HIC', ''], Denmark: ['ECS', 'HIC', ''],
+  Djibouti: ['MEA', 'LMC', 'IDA'], Dominica: ['LCN', 'UMC', 'Blend'], Dominican_Republic: ['LCN', 'UMC', 'IBRD'],
+  Ecuador: ['LCN', 'UMC', 'IBRD'], 'Egypt__Arab_Rep.': ['MEA', 'LMC', 'IBRD'], El_Salvador: ['LCN', 'UMC', 'IBRD'],
+  Equatorial_Guinea: ['SSF', 'UMC', 'IBRD'], Eritrea: ['SSF', 'LIC', 'IDA'], Estonia: ['ECS', 'HIC', ''],
+  Eswatini: ['SSF', 'LMC', 'IBRD'], Ethiopia: ['SSF', 'LIC', 'IDA'], Faroe_Islands: ['ECS', 'HIC', ''],
+  Fiji: ['EAS', 'UMC', 'Blend'], Finland: ['ECS', 'HIC', ''], France: ['ECS', 'HIC', ''],
+  French_Polynesia: ['EAS', 'HIC', ''], Gabon: ['SSF', 'UMC', 'IBRD'], Gambia__The: ['SSF', 'LIC', 'IDA'],
+  Georgia: ['ECS', 'UMC', 'IBRD'], Germany: ['ECS', 'HIC', ''], Ghana: ['SSF', 'LMC', 'IDA'],
+  Gibraltar: ['ECS', 'HIC', ''], Greece: ['ECS', 'HIC', ''], Greenland: ['ECS', 'HIC', ''],
+  Grenada: ['LCN', 'UMC', 'Blend'], Guam: ['EAS', 'HIC', ''], Guatemala: ['LCN', 'UMC', 'IBRD'],
+  Guinea: ['SSF', 'LMC', 'IDA'], 'Guinea-Bissau': ['SSF', 'LIC', 'IDA'], Guyana: ['LCN', 'HIC', 'IDA'],
+  Haiti: ['LCN', 'LMC', 'IDA'], Honduras: ['LCN', 'LMC', 'IDA'], Hong_Kong_SAR__China: ['EAS', 'HIC', ''],
+  Hungary: ['ECS', 'HIC', ''], Iceland: ['ECS', 'HIC', ''], India: ['SAS', 'LMC', 'IBRD'],
+  Indonesia: ['EAS', 'UMC', 'IBRD'], 'Iran__Islamic_Rep.': ['MEA', 'UMC', 'IBRD'], Iraq: ['MEA', 'UMC', 'IBRD'],
+  Ireland: ['ECS', 'HIC', ''], Isle_of_Man: ['ECS', 'HIC', ''], Israel: ['MEA', 'HIC', ''],
+  Italy: ['ECS', 'HIC', ''], Jamaica: ['LCN', 'UMC', 'IBRD'], Japan: ['EAS', 'HIC', ''],
+  Jordan: ['MEA', 'LMC', 'IBRD'], Kazakhstan: ['ECS', 'UMC', 'IBRD'], Kenya: ['SSF', 'LMC', 'Blend'],
+  Kiribati: ['EAS', 'LMC', 'IDA'], "Korea__Dem._People's_Rep.": ['EAS', 'LIC', ''], 'Korea__Rep.': ['EAS', 'HIC', ''],
+  Kosovo: ['ECS', 'UMC', 'IDA'], Kuwait: ['MEA', 'HIC', ''], Kyrgyz_Republic: ['ECS', 'LMC', 'IDA'],
+  Lao_PDR: ['EAS', 'LMC', 'IDA'], Latvia: ['ECS', 'HIC', ''], Lebanon: ['MEA', 'LMC', 'IBRD'],
+  Lesotho: ['SSF', 'LMC', 'IDA'], Liberia: ['SSF', 'LIC', 'IDA'], Libya: ['MEA', 'UMC', 'IBRD'],
+  Liechtenstein: ['ECS', 'HIC', ''], Lithuania: ['ECS', 'HIC', ''], Luxembourg: ['ECS', 'HIC', ''],
+  Macao_SAR__China: ['EAS', 'HIC', ''], Madagascar: ['SSF', 'LIC', 'IDA'], Malawi: ['SSF', 'LIC', 'IDA'],
+  Malaysia: ['EAS', 'UMC', 'IBRD'], Maldives: ['SAS', 'UMC', 'IDA'], Mali: ['SSF', 'LIC', 'IDA'],
+  Malta: ['MEA', 'HIC', ''], Marshall_Islands: ['EAS', 'UMC', 'IDA'], Mauritania: ['SSF', 'LMC', 'IDA'],
+  Mauritius: ['SSF', 'UMC', 'IBRD'], Mexico: ['LCN', 'UMC', 'IBRD'], 'Micronesia__Fed._Sts.': ['EAS', 'LMC', 'IDA'],
+  Moldova: ['ECS', 'UMC', 'IBRD'], Monaco: ['ECS', 'HIC', ''], Mongolia: ['EAS', 'UMC', 'IBRD'],
+  Montenegro: ['ECS', 'UMC', 'IBRD'], Morocco: ['MEA', 'LMC', 'IBRD'], Mozambique: ['SSF', 'LIC', 'IDA'],
+  Myanmar: ['EAS', 'LMC', 'IDA'], Namibia: ['SSF', 'UMC', 'IBRD'], Nauru: ['EAS', 'HIC', 'IDA'],
+  Nepal: ['SAS', 'LMC', 'IDA'], Netherlands: ['ECS', 'HIC', ''], New_Caledonia: ['EAS', 'HIC', ''],
+  New_Zealand: ['EAS', 'HIC', ''], Nicaragua: ['LCN', 'LMC', 'IDA'], Niger: ['SSF', 'LIC', 'IDA'],
+  Nigeria: ['SSF', 'LMC', 'Blend'], North_Macedonia: ['ECS', 'UMC', 'IBRD'], Northern_Mariana_Islands: ['EAS', 'HIC', ''],
+  Norway: ['ECS', 'HIC', ''], Oman: ['MEA', 'HIC', ''], Pakistan: ['MEA', 'LMC', 'Blend'],
+  Palau: ['EAS', 'HIC', 'IBRD'], Panama: ['LCN', 'HIC', 'IBRD'], Papua_New_Guinea: ['EAS', 'LMC', 'Blend'],
+  Paraguay: ['LCN', 'UMC', 'IBRD'], Peru: ['LCN', 'UMC', 'IBRD'], Philippines: ['EAS', 'LMC', 'IBRD'],
+  Poland: ['ECS', 'HIC', 'IBRD'], Portugal: ['ECS', 'HIC', ''], 'Puerto_Rico_(US)': ['LCN', 'HIC', ''],
+  Qatar: ['MEA', 'HIC', ''], Romania: ['ECS', 'HIC', 'IBRD'], Russian_Federation: ['ECS', 'HIC', 'IBRD'],
+  Rwanda: ['SSF', 'LIC', 'IDA'], Samoa: ['EAS', 'LMC', 'IDA'], San_Marino: ['ECS', 'HIC', ''],
+  Sao_Tome_and_Principe: ['SSF', 'LMC', 'IDA'], Saudi_Arabia: ['MEA', 'HIC', ''], Senegal: ['SSF', 'LMC', 'IDA'],
+  Serbia: ['ECS', 'UMC', 'IBRD'], Seychelles: ['SSF', 'HIC', 'IBRD'], Sierra_Leone: ['SSF', 'LIC', 'IDA'],
+  Singapore: ['EAS', 'HIC', ''], 'Sint_Maarten_(Dutch_part)': ['LCN', 'HIC', ''], Slovak_Republic: ['ECS', 'HIC', ''],
+  Slovenia: ['ECS', 'HIC', ''], Solomon_Islands: ['EAS', 'LMC', 'IDA'], 'Somalia__Fed._Rep.': ['SSF', 'LIC', 'IDA'],
+  South_Africa: ['SSF', 'UMC', 'IBRD'], South_Sudan: ['SSF', 'LIC', 'IDA'], Spain: ['ECS', 'HIC', ''],
+  Sri_Lanka: ['SAS', 'LMC', 'IBRD'], 'St._Kitts_and_Nevis': ['LCN', 'HIC', 'IBRD'], 'St._Lucia': ['LCN', 'UMC', 'Blend'],
+  'St._Martin_(French_part)': ['LCN', 'HIC', ''], 'St._Vincent_and_the_Grenadines': ['LCN', 'UMC', 'Blend'], Sudan: ['SSF', 'LIC', 'IDA'],
+  Suriname: ['LCN', 'UMC', 'IBRD'], Sweden: ['ECS', 'HIC', ''], Switzerland: ['ECS', 'HIC', ''],
+  Syrian_Arab_Republic: ['MEA', 'LIC', 'IDA'], Tajikistan: ['ECS', 'LMC', 'IDA'], Tanzania: ['SSF', 'LMC', 'IDA'],
+  Thailand: ['EAS', 'UMC', 'IBRD'], 'Timor-Leste': ['EAS', 'LMC', 'Blend'], Togo: ['SSF', 'LIC', 'IDA'],
+  Tonga: ['EAS', 'UMC', 'IDA'], Trinidad_and_Tobago: ['LCN', 'HIC', 'IBRD'], Tunisia: ['MEA', 'LMC', 'IBRD'],
+  Turkiye: ['ECS', 'UMC', 'IBRD'], Turkmenistan: ['ECS', 'UMC', 'IBRD'], Turks_and_Caicos_Islands: ['LCN', 'HIC', ''],
+  Tuvalu: ['EAS', 'UMC', 'IDA'], Uganda: ['SSF', 'LIC', 'IDA'], Ukraine: ['ECS', 'UMC', 'IBRD'],
+  United_Arab_Emirates: ['MEA', 'HIC', ''], United_Kingdom: ['ECS', 'HIC', ''], United_States: ['NAC', 'HIC', ''],
+  Uruguay: ['LCN', 'HIC', 'IBRD'], Uzbekistan: ['ECS', 'LMC', 'Blend'], Vanuatu: ['EAS', 'LMC', 'IDA'],
+  Venezuela__RB: ['LCN', '', 'IBRD'], Viet_Nam: ['EAS', 'LMC', 'IBRD'], 'Virgin_Islands_(U.S.)': ['LCN', 'HIC', ''],
+  West_Bank_and_Gaza: ['MEA', 'LMC', ''], 'Yemen__Rep.': ['MEA', 'LIC', 'IDA'], Zambia: ['SSF', 'LMC', 'IDA'],
+  Zimbabwe: ['SSF', 'LMC', 'Blend'],
+};
+/* eslint-enable quote-props */
+
+// older World Bank names still present as separate files
+const ECONOMY_ALIASES = { Cape_Verde: 'Cabo_Verde', Somalia: 'Somalia__Fed._Rep.', Swaziland: 'Eswatini' };
+
+const NORTH_AFRICA = ['Algeria', 'Egypt__Arab_Rep.', 'Libya', 'Morocco', 'Tunisia'];
+const AFRICA_WESTERN_CENTRAL = [
+  'Benin', 'Burkina_Faso', 'Cabo_Verde', 'Cameroon', 'Central_African_Republic', 'Chad', 'Congo__Rep.', "Cote_d'Ivoire",
+  'Equatorial_Guinea', 'Gabon', 'Gambia__The', 'Ghana', 'Guinea', 'Guinea-Bissau', 'Liberia', 'Mali', 'Mauritania',
+  'Niger', 'Nigeria', 'Sao_Tome_and_Principe', 'Senegal', 'Sierra_Leone', 'Togo',
+];
+const ARAB_WORLD = [
+  'Algeria', 'Bahrain', 'Comoros', 'Djibouti', 'Egypt__Arab_Rep.', 'Iraq', 'Jordan', 'Kuwait', 'Lebanon', 'Libya',
+  'Mauritania', 'Morocco', 'Oman', 'Qatar', 'Saudi_Arabia', 'Somalia__Fed._Rep.', 'Sudan', 'Syrian_Arab_Republic',
+  'Tunisia', 'United_Arab_Emirates', 'West_Bank_and_Gaza', 'Yemen__Rep.',
+];
+const EURO_AREA = [
+  'Austria', 'Belgium', 'Croatia', 'Cyprus', 'Estonia', 'Finland', 'France', 'Germany', 'Greece', 'Ireland', 'Italy',
+  'Latvia', 'Lithuania', 'Luxembourg', 'Malta', 'Netherlands', 'Portugal', 'Slovak_Republic', 'Slovenia', 'Spain',
+];
+const EUROPEAN_UNION = [...EURO_AREA, 'Bulgaria', 'Czechia', 'Denmark', 'Hungary', 'Poland', 'Romania', 'Sweden'];
+const CENTRAL_EUROPE_BALTICS = [
+  'Bulgaria', 'Croatia', 'Czechia', 'Estonia', 'Hungary', 'Latvia', 'Lithuania', 'Poland', 'Romania', 'Slovak_Republic', 'Slovenia',
+];
+const OECD_MEMBERS = [
+  'Australia', 'Austria', 'Belgium', 'Canada', 'Chile', 'Colombia', 'Costa_Rica', 'Czechia', 'Denmark', 'Estonia',
+  'Finland', 'France', 'Germany', 'Greece', 'Hungary', 'Iceland', 'Ireland', 'Israel', 'Italy', 'Japan', 'Korea__Rep.',
+  'Latvia', 'Lithuania', 'Luxembourg', 'Mexico', 'Netherlands', 'New_Zealand', 'Norway', 'Poland', 'Portugal',
+  'Slovak_Republic', 'Slovenia', 'Spain', 'Sweden', 'Switzerland', 'Turkiye', 'United_Kingdom', 'United_States',
+];
+const HIPC = [
+  'Afghanistan', 'Benin', 'Bolivia', 'Burkina_Faso', 'Burundi', 'Cameroon', 'Central_African_Republic', 'Chad', 'Comoros',
+  'Congo__Dem._Rep.', 'Congo__Rep.', "Cote_d'Ivoire", 'Eritrea', 'Ethiopia', 'Gambia__The', 'Ghana', 'Guinea',
+  'Guinea-Bissau', 'Guyana', 'Haiti', 'Honduras', 'Liberia', 'Madagascar', 'Malawi', 'Mali', 'Mauritania', 'Mozambique',
+  'Nicaragua', 'Niger', 'Rwanda', 'Sao_Tome_and_Principe', 'Senegal', 'Sierra_Leone', 'Somalia__Fed._Rep.', 'Sudan',
+  'Tanzania', 'Togo', 'Uganda', 'Zambia',
+];
+const FRAGILE_CONFLICT = [
+  'Afghanistan', 'Burkina_Faso', 'Burundi', 'Cameroon', 'Central_African_Republic', 'Chad', 'Comoros', 'Congo__Dem._Rep.',
+  'Congo__Rep.', 'Eritrea', 'Ethiopia', 'Haiti', 'Iraq', 'Kiribati', 'Kosovo', 'Lebanon', 'Libya', 'Mali',
+  'Marshall_Islands', 'Micronesia__Fed._Sts.', 'Mozambique', 'Myanmar', 'Niger', 'Nigeria', 'Papua_New_Guinea',
+  'Sao_Tome_and_Principe', 'Solomon_Islands', 'Somalia__Fed._Rep.', 'South_Sudan', 'Sudan', 'Syrian_Arab_Republic',
+  'Timor-Leste', 'Tuvalu', 'Ukraine', 'Venezuela__RB', 'West_Bank_and_Gaza', 'Yemen__Rep.', 'Zimbabwe',
+];
+const CARIBBEAN_SMALL_STATES = [
+  'Antigua_and_Barbuda', 'Bahamas__The', 'Barbados', 'Belize', 'Dominica', 'Grenada', 'Guyana', 'Jamaica',
+  'St._Kitts_and_Nevis', 'St._Lucia', 'St._Vincent_and_the_Grenadines', 'Suriname', 'Trinidad_and_Tobago',
+];
+const PACIFIC_SMALL_STATES = [
+  'Fiji', 'Kiribati', 'Marshall_Islands', 'Micronesia__Fed._Sts.', 'Nauru', 'Palau', 'Samoa', 'Solomon_Islands', 'Tonga',
+  'Tuvalu', 'Vanuatu',
+];
+
+const isBorrower = (e) => !!e.lending; // IDA, Blend or IBRD
+const inRegion = (region) => (e) => e.region === region;
+const inList = (list) => { const set = new Set(list); return (e) => set.has(e.key); };
+
+// aggregate key -> { type, match } ; match === null means membership is not known to the app
+const AGGREGATES = {
+  World: { type: 'world', match: () => true },
+
+  East_Asia___Pacific: { type: 'region', match: inRegion('EAS') },
+  'East_Asia___Pacific_(excluding_high_income)': { type: 'region', match: e => e.region === 'EAS' && e.income !== 'HIC' },
+  'East_Asia___Pacific_(IDA___IBRD_countries)': { type: 'region', match: e => e.region === 'EAS' && isBorrower(e) },
+  Europe___Central_Asia: { type: 'region', match: inRegion('ECS') },
+  'Europe___Central_Asia_(excluding_high_income)': { type: 'region', match: e => e.region === 'ECS' && e.income !== 'HIC' },
+  'Europe___Central_Asia_(IDA___IBRD_countries)': { type: 'region', match: e => e.region === 'ECS' && isBorrower(e) },
+  Latin_America___Caribbean: { type: 'region', match: inRegion('LCN') },
+  'Latin_America___Caribbean_(excluding_high_income)': { type: 'region', match: e => e.region === 'LCN' && e.income !== 'HIC' },
+  'Latin_America___the_Caribbean_(IDA___IBRD_countries)': { type: 'region', match: e => e.region === 'LCN' && isBorrower(e) },
+  Middle_East__North_Africa__Afghanistan___Pakistan: { type: 'region', match: inRegion('MEA') },
+  'Middle_East__North_Africa__Afghanistan___Pakistan_(excluding_high_income)': { type: 'region', match: e => e.region === 'MEA' && e.income !== 'HIC' },
+  'Middle_East__North_Africa__Afghanistan___Pakistan_(IDA___IBRD)': { type: 'region', match: e => e.region === 'MEA' && isBorrower(e) },
+  North_America: { type: 'region', match: inRegion('NAC') },
+  South_Asia: { type: 'region', match: inRegion('SAS') },
+  'South_Asia_(IDA___IBRD)': { type: 'region', match: e => e.region === 'SAS' && isBorrower(e) },
+  'Sub-Saharan_Africa': { type: 'region', match: inRegion('SSF') },
+  'Sub-Saharan_Africa_(excluding_high_income)': { type: 'region', match: e => e.region === 'SSF' && e.income !== 'HIC' },
+  'Sub-Saharan_Africa_(IDA___IBRD_countries)': { type: 'region', match: e => e.region === 'SSF' && isBorrower(e) },
+  'Sub-Saharan_Africa_(all_income_levels)': { type: 'region', match: inRegion('SSF') },
+  'Sub-Saharan_Africa_(developing_only)': { type: 'region', match: e => e.region === 'SSF' && e.income !== 'HIC' },
+  'Sub-Saharan_Africa_excluding_South_Africa': { type: 'region', match: e => e.region === 'SSF' && e.key !== 'South_Africa' },
+  'Sub-Saharan_Africa_excluding_South_Africa_and_Nigeria': { type: 'region', match: e => e.region === 'SSF' && e.key !== 'South_Africa' && e.key !== 'Nigeria' },
+  Africa_Eastern_and_Southern: { type: 'region', match: e => e.region === 'SSF' && !AFRICA_WESTERN_CENTRAL.includes(e.key) },
+  Africa_Western_and_Central: { type: 'region', match: inList(AFRICA_WESTERN_CENTRAL) },
+  Africa: { type: 'region', match: e => e.region === 'SSF' || NORTH_AFRICA.includes(e.key) },
+  North_Africa: { type: 'region', match: inList(NORTH_AFRICA) },
+  Arab_World: { type: 'region', match: inList(ARAB_WORLD) },
+  Central_Europe_and_the_Baltics: { type: 'region', match: inList(CENTRAL_EUROPE_BALTICS) },
+  Euro_area: { type: 'region', match: inList(EURO_AREA) },
+  European_Union: { type: 'region', match: inList(EUROPEAN_UNION) },
+
+  High_income: { type: 'income', match: e => e.income === 'HIC' },
+  Upper_middle_income: { type: 'income', match: e => e.income === 'UMC' },
+  Lower_middle_income: { type: 'income', match: e => e.income === 'LMC' },
+  Low_income: { type: 'income', match: e => e.income === 'LIC' },
+  Middle_income: { type: 'income', match: e => e.income === 'UMC' || e.income === 'LMC' },
+  Low___middle_income: { type: 'income', match: e => ['LIC', 'LMC', 'UMC'].includes(e.income) },
+  Not_classified: { type: 'income', match: e => !e.income },
+
+  IBRD_only: { type: 'lending', match: e => e.lending === 'IBRD' },
+  IDA_blend: { type: 'lending', match: e => e.lending === 'Blend' },
+  IDA_only: { type: 'lending', match: e => e.lending === 'IDA' },
+  IDA_total: { type: 'lending', match: e => e.lending === 'IDA' || e.lending === 'Blend' },
+  IDA___IBRD_total: { type: 'lending', match: isBorrower },
+
+  'Heavily_indebted_poor_countries_(HIPC)': { type: 'other', match: inList(HIPC) },
+  Fragile_and_conflict_affected_situations: { type: 'other', match: inList(FRAGILE_CONFLICT) },
+  OECD_members: { type: 'other', match: inList(OECD_MEMBERS) },
+  Caribbean_small_states: { type: 'other', match: inList(CARIBBEAN_SMALL_STATES) },
+  Pacific_island_small_states: { type: 'other', match: inList(PACIFIC_SMALL_STATES) },
+  Other_small_states: { type: 'other', match: null },
+  Small_states: { type: 'other', match: null },
+  'Early-demographic_dividend': { type: 'other', match: null },
+  'Late-demographic_dividend': { type: 'other', match: null },
+  'Post-demographic_dividend': { type: 'other', match: null },
+  'Pre-demographic_dividend': { type: 'other', match: null },
+};
+
+const economyRecord = (key) => {
+  const row = ECONOMIES[key];
+  if (!row) return null;
+  const [region, income, lending] = row;
+  return { key, region, regionName: REGION_NAMES[region] || null, income: income || null, lending: lending || null };
+};
+
+const ECONOMY_RECORDS = Object.keys(ECONOMIES).map(economyRecord);
+
+/**
+ * Classify a country key.
+ * type is 'country' for economies (including superseded names, which carry `aliasOf`),
+ * one of 'world' | 'region' | 'income' | 'lending' | 'other' for aggregates, and 'unknown' otherwise.
+ */
+const classifyCountry = (country) => {
+  const key = toCountryKey(country);
+  if (ECONOMIES[key]) return { type: 'country', ...economyRecord(key), aliasOf: null };
+  if (ECONOMY_ALIASES[key]) return { type: 'country', ...economyRecord(ECONOMY_ALIASES[key]), key, aliasOf: ECONOMY_ALIASES[key] };
+  if (AGGREGATES[key]) return { key, type: AGGREGATES[key].type };
+  return { key, type: 'unknown' };
+};
+
+const isAggregateCountry = (country) => {
+  const type = classifyCountry(country).type;
+  return type !== 'country' && type !== 'unknown';
+};
+
+// member economy keys of an aggregate, or null when membership is not known
+const getAggregateMembers = (aggregate) => {
+  const agg = AGGREGATES[toCountryKey(aggregate)];
+  if (!agg || !agg.match) return null;
+  return ECONOMY_RECORDS.filter(agg.match).map(e => e.key);
+};
+
+// aggregates an economy belongs to
+const getCountryGroups = (country) => {
+  const cls = classifyCountry(country);
+  if (cls.type !== 'country') return [];
+  const record = economyRecord(cls.aliasOf || cls.key);
+  return Object.entries(AGGREGATES)
+    .filter(([, agg]) => agg.match && agg.match(record))
+    .map(([key, agg]) => ({ key, type: agg.type }));
+};
+
+ipcMain.handle('get-country-classification', async (event, countries) => {
+  try {
+    const keys = Array.isArray(countries) ? countries : Array.from(new Set([...listBundledCountries(), ...listPackCountries()]));
+    return keys.map(classifyCountry);
+  } catch (err) {
+    log.warn('get-country-classification failed', { err: err && err.message });
+    return [];
+  }
+});
+
+ipcMain.handle('get-aggregate-members', async (event, aggregate) => getAggregateMembers(aggregate));
+ipcMain.handle('get-country-groups', async (event, country) => getCountryGroups(country));
+
+// ------------------------
+// Rankings
+// ------------------------
+// latest year in which at least one of the included countries has a value
+const latestStoreYear = (store, ind, include) => {
+  for (let yi = store.years.length - 1; yi >= 0; yi--) {
+    for (let ci = 0; ci < store.countries.length; ci++) {
+      if (include(ci) && storeValue(store, ind, ci, yi) !== null) return store.years[yi];
+    }
+  }
+  return null;
+};
+
+// competition ranking ("1224"): tied values share a rank
+const rankPositions = (store, ind, yi, include, order) => {
+  const ranks = new Map();
+  if (yi === -1) return ranks;
+  const entries = [];
+  store.countries.forEach((c, ci) => {
+    const value = include(ci) ? storeValue(store, ind, ci, yi) : null;
+    if (value !== null) entries.push({ ci, value });
+  });
+  entries.sort((a, b) => (order === 'asc' ? a.value - b.value : b.value - a.value));
+  entries.forEach((e, i) => {
+    const rank = i > 0 && entries[i - 1].value === e.value ? ranks.get(entries[i - 1].ci) : i + 1;
+    ranks.set(e.ci, rank);
+  });
+  return ranks;
+};
+
+/**
+ * League table for one indicator and year.
+ * opts: { year, order: 'desc' | 'asc', countries: [keys], group: aggregateKey, excludeAggregates: bool }
+ * `countries` and `group` (an aggregate's members) restrict the table, and the previous-year ranks used
+ * for movement, to a subset such as a region or income group.
+ */
+const rankIndicator = (store, id, opts) => {
+  const ind = store.indicators[id];
+  if (!ind) return null;
+  const order = opts && opts.order === 'asc' ? 'asc' : 'desc';
+  let allow = opts && Array.isArray(opts.countries) ? new Set(opts.countries.map(toCountryKey)) : null;
+  if (opts && opts.group) {
+    const members = new Set(getAggregateMembers(opts.group) || []);
+    allow = allow ? new Set([...allow].filter(k => members.has(k))) : members;
+  }
+  const excludeAggregates = !!(opts && opts.excludeAggregates);
+  const include = (ci) => {
+    const key = store.countries[ci].key;
+    if (allow && !allow.has(key)) return false;
+    return !excludeAggregates || !isAggregateCountry(key);
+  };
+
+  const year = opts && opts.year ? parseInt(opts.year, 10) : latestStoreYear(store, ind, include);
+  const yi = store.years.indexOf(year);
+  const pyi = store.years.indexOf(year - 1);
+  const ranks = rankPositions(store, ind, yi, include, order);
+  const previousRanks = rankPositions(store, ind, pyi, include, order);
+
+  const rows = Array.from(ranks.entries()).map(([ci, rank]) => {
+    const c = store.countries[ci];
+    const value = storeValue(store, ind, ci, yi);
+    const previous = pyi === -1 ? null : storeValue(store, ind, ci, pyi);
+    const previousRank = previousRanks.has(ci) ? previousRanks.get(ci) : null;
+    return {
+      rank,
+      country: c.key,
+      name: c.name,
+      iso3: c.iso3,
+      value,
+      previous,
+      change: previous === null ? null : value - previous,
+      changePct: previous === null || previous === 0 ? null : ((value - previous) / Math.abs(previous)) * 100,
+      previousRank,
+      // positive = climbed the table since the previous year
+      movement: previousRank === null ? null : previousRank - rank,
+    };
+  }).sort((a, b) => a.rank - b.rank || a.name.localeCompare(b.name));
+
+  return { id, name: ind.name, year, previousYear: year - 1, order, rows };
+};
+
+ipcMain.handle('get-indicator-ranking', async (event, id, opts) => {
+  try {
+    const store = await getIndicatorStore();
+    return rankIndicator(store, id, opts);
+  } catch (err) {
+    log.warn('get-indicator-ranking failed', { id, err: err && err.message });
+    return null;
+  }
+});
+
+// ------------------------
+// Choropleth classes
+// ------------------------
+// Map views color economies (not aggregates) by one indicator and year; values are keyed by ISO3 so they
+// join directly onto boundary features.
+const CHOROPLETH_DEFAULT_CLASSES = 5;
+const CHOROPLETH_MAX_CLASSES = 9;
+
+const quantile = (sorted, q) => {
+  const pos = (sorted.length - 1) * q;
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+};
+
+// class boundaries, n + 1 ascending values from min to max
+const choroplethBreaks = (values, n, method) => {
+  const sorted = values.slice().sort((a, b) => a - b);
+  const min = sorted[0];
+  const max = sorted[sorted.length - 1];
+  const breaks = [];
+  for (let k = 0; k <= n; k++) {
+    breaks.push(method === 'linear' ? min + ((max - min) * k) / n : quantile(sorted, k / n));
+  }
+  return breaks;
+};
+
+const choroplethClass = (value, breaks) => {
+  for (let k = 1; k < breaks.length - 1; k++) {
+    if (value < breaks[k]) return k - 1;
+  }
+  return breaks.length - 2;
+};
+
+/**
+ * opts: { year, method: 'quantile' | 'linear', classes }
+ * Returns the break values and, per ISO3, the country key, value and class index (0 = lowest).
+ */
+const buildChoropleth = (store, id, opts) => {
+  const ind = store.indicators[id];
+  if (!ind) return null;
+  const method = opts && opts.method === 'linear' ? 'linear' : 'quantile';
+  const classes = Math.max(2, Math.min(CHOROPLETH_MAX_CLASSES, parseInt((opts && opts.classes) || CHOROPLETH_DEFAULT_CLASSES, 10) || CHOROPLETH_DEFAULT_CLASSES));
+  const include = (ci) => {
+    const cls = classifyCountry(store.countries[ci].key);
+    return cls.type === 'country' && !cls.aliasOf && !!store.countries[ci].iso3;
+  };
+  const year = opts && opts.year ? parseInt(opts.year, 10) : latestStoreYear(store, ind, include);
+  const yi = store.years.indexOf(year);
+
+  const entries = [];
+  store.countries.forEach((c, ci) => {
+    const value = yi === -1 || !include(ci) ? null : storeValue(store, ind, ci, yi);
+    if (value !== null) entries.push({ c, value });
+  });
+  if (!entries.length) return { id, name: ind.name, year, method, classes, breaks: [], features: {} };
+
+  const breaks = choroplethBreaks(entries.map(e => e.value), classes, method);
+  const features = {};
+  for (const { c, value } of entries) {
+    features[c.iso3] = { country: c.key, name: c.name, value, class: choroplethClass(value, breaks) };
+  }
+  return { id, name: ind.name, year, method, classes, breaks, features };
+};
+
+ipcMain.handle('get-choropleth-data', async (event, id, opts) => {
+  try {
+    const store = await getIndicatorStore();
+    return buildChoropleth(store, id, opts);
+  } catch (err) {
+    log.warn('get-choropleth-data failed', { id, err: err && err.message });
+    return null;
+  }
+});
+
+// ------------------------
+// Scatter / bubble explorer
+// ------------------------
+// least-squares line and R^2 over paired values
+const fitTrend = (xs, ys) => {
+  if (xs.length < 2) return null;
+  const n = xs.length;
+  const xbar = xs.reduce((a, b) => a + b, 0) / n;
+  const ybar = ys.reduce((a, b) => a + b, 0) / n;
+  let sxx = 0;
+  let sxy = 0;
+  let syy = 0;
+  for (let i = 0; i < n; i++) {
+    sxx += (xs[i] - xbar) ** 2;
+    sxy += (xs[i] - xbar) * (ys[i] - ybar);
+    syy += (ys[i] - ybar) ** 2;
+  }
+  if (sxx === 0) return null;
+  const slope = sxy / sxx;
+  return { slope, intercept: ybar - slope * xbar, r2: syy === 0 ? 1 : (sxy * sxy) / (sxx * syy), n };
+};
+
+/**
+ * One point per country for a year.
+ * opts: { size, logX, logY, countries, excludeAggregates (default true), highlight: [keys] | aggregateKey }
+ * Log axes drop non-positive values, and the trend line is fitted in the plotted (log or linear) space.
+ */
+const scatterFrame = (store, xId, yId, year, opts) => {
+  const xi = store.indicators[xId];
+  const yi = store.indicators[yId];
+  const si = opts && opts.size ? store.indicators[opts.size] : null;
+  const yIdx = store.years.indexOf(year);
+  const logX = !!(opts && opts.logX);
+  const logY = !!(opts && opts.logY);
+  const allow = opts && Array.isArray(opts.countries) ? new Set(opts.countries.map(toCountryKey)) : null;
+  const excludeAggregates = !(opts && opts.excludeAggregates === false);
+  let highlight = new Set();
+  if (opts && Array.isArray(opts.highlight)) highlight = new Set(opts.highlight.map(toCountryKey));
+  else if (opts && opts.highlight) highlight = new Set(getAggregateMembers(opts.highlight) || []);
+
+  const points = [];
+  if (yIdx !== -1) {
+    store.countries.forEach((c, ci) => {
+      if (allow && !allow.has(c.key)) return;
+      if (excludeAggregates && isAggregateCountry(c.key)) return;
+      const x = storeValue(store, xi, ci, yIdx);
+      const y = storeValue(store, yi, ci, yIdx);
+      if (x === null || y === null) return;
+      if ((logX && x <= 0) || (logY && y <= 0)) return;
+      points.push({
+        country: c.key,
+        name: c.name,
+        iso3: c.iso3,
+        x,
+        y,
+        size: si ? storeValue(store, si, ci, yIdx) : null,
+        highlighted: highlight.has(c.key),
+      });
+    });
+  }
+  const trend = fitTrend(points.map(p => (logX ? Math.log10(p.x) : p.x)), points.map(p => (logY ? Math.log10(p.y) : p.y)));
+  return { year, points, trend };
+};
+
+/**
+ * opts.year picks a single frame (default: latest year with any X/Y pair); opts.allYears returns one frame
+ * per year for the animated year slider.
+ */
+ipcMain.handle('get-scatter-data', async (event, xId, yId, opts) => {
+  try {
+    const store = await getIndicatorStore();
+    if (!store.indicators[xId] || !store.indicators[yId]) return null;
+    const base = { x: { id: xId, name: store.indicators[xId].name }, y: { id: yId, name: store.indicators[yId].name }, logX: !!(opts && opts.logX), logY: !!(opts && opts.logY) };
+    if (opts && opts.size && store.indicators[opts.size]) base.size = { id: opts.size, name: store.indicators[opts.size].name };
+    if (opts && opts.allYears) return { ...base, frames: store.years.map(year => scatterFrame(store, xId, yId, year, opts)) };
+    let year = opts && opts.year ? parseInt(opts.year, 10) : null;
+    if (year === null) {
+      year = store.years.slice().reverse().find(y => scatterFrame(store, xId, yId, y, opts).points.length > 0) || null;
+    }
+    return { ...base, ...scatterFrame(store, xId, yId, year, opts) };
+  } catch (err) {
+    log.warn('get-scatter-data failed', { xId, yId, err: err && err.message });
+    return null;
+  }
+});
+
+// ------------------------
+// Compare normalization
+// ------------------------
+const COMPARE_MODES = ['raw', 'index', 'perCapita', 'yoy', 'log', 'share'];
+const POPULATION_ID = 'SP.POP.TOTL';
+const WORLD_KEY = 'World';
+
+/**
+ * Series for any number of countries / aggregates, transformed for comparison.
+ * modes: raw | index (baseYear = 100) | perCapita (divided by SP.POP.TOTL) | yoy (% change) |
+ * log (raw values for a log axis; non-positive values dropped) | share (% of the World aggregate)
+ * Without opts.baseYear the index mode uses the first year in which every selected series has a value.
+ */
+const buildCompareSeries = (store, countries, id, opts) => {
+  const ind = store.indicators[id];
+  if (!ind) return null;
+  const mode = COMPARE_MODES.includes(opts && opts.mode) ? opts.mode : 'raw';
+  const indexOf = new Map(store.countries.map((c, ci) => [c.key, ci]));
+  const selected = (Array.isArray(countries) ? countries : []).map(toCountryKey).filter(key => indexOf.has(key));
+  const rows = selected.map(key => storeRow(store, ind, indexOf.get(key)));
+
+  let baseYear = null;
+  if (mode === 'index') {
+    baseYear = opts && opts.baseYear ? parseInt(opts.baseYear, 10) : null;
+    if (baseYear === null) {
+      const yi = store.years.findIndex((y, i) => rows.length && rows.every(r => r[i] !== null && r[i] !== 0));
+      baseYear = yi === -1 ? null : store.years[yi];
+    }
+  }
+  const baseIdx = baseYear === null ? -1 : store.years.indexOf(baseYear);
+  const population = store.indicators[POPULATION_ID];
+  const world = indexOf.has(WORLD_KEY) ? storeRow(store, ind, indexOf.get(WORLD_KEY)) : null;
+
+  const series = selected.map((key, si) => {
+    const row = rows[si];
+    const ci = indexOf.get(key);
+    let values = row;
+    if (mode === 'index') {
+      const base = baseIdx === -1 ? null : row[baseIdx];
+      values = row.map(v => (v === null || !base ? null : (v / base) * 100));
+    } else if (mode === 'perCapita') {
+      const pop = population ? storeRow(store, population, ci) : row.map(() => null);
+      values = row.map((v, i) => (v === null || !pop[i] ? null : v / pop[i]));
+    } else if (mode === 'yoy') {
+      values = row.map((v, i) => (i === 0 || v === null || !row[i - 1] ? null : (v / row[i - 1] - 1) * 100));
+    } else if (mode === 'log') {
+      values = row.map(v => (v === null || v <= 0 ? null : v));
+    } else if (mode === 'share') {
+      values = row.map((v, i) => (v === null || !world || !world[i] ? null : (v / world[i]) * 100));
+    }
+    const c = store.countries[ci];
+    return { country: key, name: c.name, iso3: c.iso3, type: classifyCountry(key).type, values };
+  });
+
+  return { id, name: ind.name, mode, baseYear, logScale: mode === 'log', years: store.years, series };
+};
+
+ipcMain.handle('get-compare-series', async (event, countries, id, opts) => {
+  try {
+    const store = await getIndicatorStore();
+    return buildCompareSeries(store, countries, id, opts);
+  } catch (err) {
+    log.warn('get-compare-series failed', { id, err: err && err.message });
+    return null;
+  }
+});
+
+// ------------------------
+// Forecasting
+// ------------------------
+// Replaces the renderer's single OLS-one-year-ahead projection with a choice of models, a 1-10 year
+// horizon and 80/95% prediction intervals. Output keeps the { date, value, predicted } point shape the
+// charts already consume and adds the model name and interval bounds to predicted points.
+const FORECAST_MODELS = ['linear', 'loglinear', 'holt', 'logistic'];
+const FORECAST_MAX_HORIZON = 10;
+const Z80 = 1.2816;
+const Z95 = 1.96;
+
+// true shares of a whole, which cannot leave 0-100. Growth rates, inflation and "% of GDP" ratios can go
+// negative or above 100 (trade, gross enrolment), so anything not listed here is forecast unbounded.
+const BOUNDED_INDICATORS = new Set([
+  'SI.POV.DDAY', 'SI.POV.GINI', 'IT.NET.USER.ZS', 'IS.ROD.PAVE.ZS', 'IC.FRM.BNKS.ZS', 'TM.VAL.MRCH.R2.ZS',
+  'SL.TLF.CACT.ZS', 'SL.TLF.CACT.FE.ZS', 'SL.TLF.CACT.MA.ZS', 'SL.UEM.TOTL.ZS', 'SL.UEM.1524.ZS',
+  'SP.URB.TOTL.IN.ZS', 'SP.RUR.TOTL.ZS', 'SH.XPD.GHED.CH.ZS', 'SH.IMM.MEAS', 'SH.ANM.CHLD.ZS', 'SN.ITK.DEFC.ZS',
+  'SH.H2O.BASW.ZS', 'SH.STA.BASS.ZS', 'SH.STA.SMSS.ZS', 'SE.ADT.LITR.ZS', 'EG.ELC.ACCS.ZS', 'EG.FEC.RNEW.ZS',
+  'EG.ELC.RNEW.ZS', 'EG.ELC.NUCL.ZS', 'EG.ELC.HYRO.ZS', 'EG.ELC.COAL.ZS', 'AG.LND.FRST.ZS', 'AG.LND.AGRI.ZS',
+]);
+const isBoundedIndicator = (id) => BOUNDED_INDICATORS.has(String(id || ''));
+
+const olsFit = (xs, ys) => {
+  const n = xs.length;
+  const xbar = xs.reduce((a, b) => a + b, 0) / n;
+  const ybar = ys.reduce((a, b) => a + b, 0) / n;
+  let sxx = 0;
+  let sxy = 0;
+  for (let i = 0; i < n; i++) {
+    sxx += (xs[i] - xbar) ** 2;
+    sxy += (xs[i] - xbar) * (ys[i] - ybar);
+  }
+  const slope = sxx === 0 ? 0 : sxy / sxx;
+  const intercept = ybar - slope * xbar;
+  let sse = 0;
+  for (let i = 0; i < n; i++) sse += (ys[i] - (intercept + slope * xs[i])) ** 2;
+  const s = n > 2 ? Math.sqrt(sse / (n - 2)) : 0;
+  return {
+    predict: (x) => intercept + slope * x,
+    // standard error of a new observation at x
+    se: (x) => (sxx === 0 ? s : s * Math.sqrt(1 + 1 / n + ((x - xbar) ** 2) / sxx)),
+  };
+};
+
+// models fitted on a transformed scale share one shape: transform, OLS on year, back-transform
+const transformedTrendModel = (name, forward, inverse) => (points) => {
+  const fit = olsFit(points.map(p => p.year), points.map(p => forward(p.value)));
+  const band = (year, z) => [inverse(fit.predict(year) - z * fit.se(year)), inverse(fit.predict(year) + z * fit.se(year))];
+  return {
+    name,
+    params: 2,
+    fitted: (year) => inverse(fit.predict(year)),
+    forecast: (year) => {
+      const [lower80, upper80] = band(year, Z80);
+      const [lower95, upper95] = band(year, Z95);
+      return { value: inverse(fit.predict(year)), lower80, upper80, lower95, upper95 };
+    },
+  };
+};
+
+const LOGIT_EPS = 1e-3;
+const clampUnit = (p) => Math.min(1 - LOGIT_EPS, Math.max(LOGIT_EPS, p));
+
+const fitLinear = transformedTrendModel('linear', v => v, v => v);
+const fitLogLinear = transformedTrendModel('loglinear', v => Math.log(v), v => Math.exp(v));
+const fitLogistic = transformedTrendModel('logistic', v => { const p = clampUnit(v / 100); return Math.log(p / (1 - p)); }, v => 100 / (1 + Math.exp(-v)));
+
+// fill interior missing years linearly so Holt sees an evenly spaced annual series
+const annualize = (points) => {
+  const out = [];
+  for (let i = 0; i < points.length; i++) {
+    out.push(points[i]);
+    const next = points[i + 1];
+    if (!next) break;
+    for (let y = points[i].year + 1; y < next.year; y++) {
+      const t = (y - points[i].year) / (next.year - points[i].year);
+      out.push({ year: y, value: points[i].value + t * (next.value - points[i].value) });
+    }
+  }
+  return out;
+};
+
+const runHolt = (values, alpha, beta, phi) => {
+  let level = values[0];
+  let trend = values[1] - values[0];
+  let sse = 0;
+  const oneStep = [values[0], values[1]];
+  for (let t = 1; t < values.length; t++) {
+    const predicted = level + phi * trend;
+    if (t >= 2) { sse += (values[t] - predicted) ** 2; oneStep[t] = predicted; }
+    const prevLevel = level;
+    level = alpha * values[t] + (1 - alpha) * (prevLevel + phi * trend);
+    trend = beta * (level - prevLevel) + (1 - beta) * phi * trend;
+  }
+  return { level, trend, sse, oneStep };
+};
+
+// Holt's linear trend with a damped trend; parameters picked by grid search on one-step errors
+const fitHolt = (points) => {
+  const series = annualize(points);
+  const values = series.map(p => p.value);
+  let best = null;
+  for (const alpha of [0.2, 0.4, 0.6, 0.8, 0.95]) {
+    for (const beta of [0.05, 0.1, 0.2, 0.4]) {
+      for (const phi of [0.8, 0.9, 0.95, 0.98]) {
+        const run = runHolt(values, alpha, beta, phi);
+        if (!best || run.sse < best.run.sse) best = { alpha, beta, phi, run };
+      }
+    }
+  }
+  const { alpha, beta, phi, run } = best;
+  const sigma = values.length > 2 ? Math.sqrt(run.sse / (values.length - 2)) : 0;
+  const lastYear = series[series.length - 1].year;
+  const byYear = new Map(series.map((p, i) => [p.year, run.oneStep[i]]));
+  const dampSum = (h) => { let s = 0; for (let j = 1; j <= h; j++) s += phi ** j; return s; };
+  return {
+    name: 'holt',
+    params: 3,
+    fitted: (year) => (byYear.has(year) ? byYear.get(year) : run.level + dampSum(year - lastYear) * run.trend),
+    forecast: (year) => {
+      const h = year - lastYear;
+      const value = run.level + dampSum(h) * run.trend;
+      let variance = 1;
+      for (let j = 1; j < h; j++) variance += (alpha * (1 + beta * dampSum(j))) ** 2;
+      const sd = sigma * Math.sqrt(variance);
+      return { value, lower80: value - Z80 * sd, upper80: value + Z80 * sd, lower95: value - Z95 * sd, upper95: value + Z95 * sd };
+    },
+  };
+};
+
+const FORECAST_FITTERS = { linear: fitLinear, loglinear: fitLogLinear, holt: fitHolt, logistic: fitLogistic };
+
+const modelApplies = (name, points, bounded) => {
+  if (name === 'loglinear') return points.every(p => p.value > 0);
+  if (name === 'logistic') return bounded && points.every(p => p.value >= 0 && p.value <= 100);
+  if (name === 'holt') return points.length >= 4;
+  return true;
+};
+
+// Akaike information criterion on the original scale, so models fitted on different scales compare fairly
+const modelAic = (model, points) => {
+  let sse = 0;
+  for (const p of points) sse += (p.value - model.fitted(p.year)) ** 2;
+  const n = points.length;
+  return n * Math.log(Math.max(sse, 1e-12) / n) + 2 * model.params;
+};
+
+const selectForecastModel = (points, bounded) => {
+  // trend models run past 0-100 on percentages; the logistic curve saturates instead
+  if (bounded && modelApplies('logistic', points, bounded)) return fitLogistic(points);
+  let best = null;
+  for (const name of FORECAST_MODELS) {
+    if (!modelApplies(name, points, bounded)) continue;
+    const model = FORECAST_FITTERS[name](points);
+    const aic = modelAic(model, points);
+    if (!best || aic < best.aic) best = { model, aic };
+  }
+  return best ? best.model : fitLinear(points);
+};
+
+// Gap handling: missing years inside a series stay null ('gap'), or are filled by linear interpolation
+// between the neighbouring observations ('linear') or with the last observation ('carry'). Filled points
+// are flagged `filled` and never `predicted`, so charts and exports keep them apart from forecasts.
+const GAP_MODES = ['gap', 'linear', 'carry'];
+
+const hasValue = (v) => v !== null && v !== undefined && v !== '' && Number.isFinite(Number(v));
+
+// one ascending point per year across the records' range; obs_status is kept for observed values
+const observedPoints = (data) => {
+  const byYear = new Map();
+  for (const r of Array.isArray(data) ? data : []) {
+    const year = r ? parseInt(r.date, 10) : NaN;
+    if (!Number.isFinite(year)) continue;
+    if (!byYear.has(year) || hasValue(r.value)) byYear.set(year, r);
+  }
+  if (!byYear.size) return [];
+  const years = Array.from(byYear.keys());
+  const out = [];
+  for (let year = Math.min(...years); year <= Math.max(...years); year++) {
+    const r = byYear.get(year);
+    const point = { date: String(year), value: r && hasValue(r.value) ? Number(r.value) : null, predicted: false };
+    if (r && r.obs_status) point.obs_status = r.obs_status;
+    out.push(point);
+  }
+  return out;
+};
+
+// fills nulls between the first and last observation; leading and trailing nulls are left alone
+const fillSeriesGaps = (points, mode) => {
+  if (mode !== 'linear' && mode !== 'carry') return points;
+  const out = points.map(p => ({ ...p }));
+  let prev = -1;
+  for (let i = 0; i < out.length; i++) {
+    if (out[i].value === null) continue;
+    if (prev >= 0 && i - prev > 1) {
+      const y0 = parseInt(out[prev].date, 10);
+      const y1 = parseInt(out[i].date, 10);
+      for (let j = prev + 1; j < i; j++) {
+        const year = parseInt(out[j].date, 10);
+        out[j].value = mode === 'carry'
+          ? out[prev].value
+          : out[prev].value + (out[i].value - out[prev].value) * (year - y0) / (y1 - y0);
+        out[j].filled = mode === 'carry' ? 'carried' : 'interpolated';
+      }
+    }
+    prev = i;
+  }
+  return out;
+};
+
+/**
+ * Forecast a series of { date, value } records.
+ * opts: { model: 'auto' | 'linear' | 'loglinear' | 'holt' | 'logistic', horizon: 1-10, bounded: bool,
+ *         gapMode: 'gap' | 'linear' | 'carry' }
+ * Observed values pass through and the `horizon` years after the last observation are flagged
+ * `predicted`. Missing historical years follow gapMode (flagged `filled`, never `predicted`); the
+ * default leaves them null.
+ */
+const forecastSeries = (data, opts) => {
+  const horizon = Math.max(1, Math.min(FORECAST_MAX_HORIZON, parseInt((opts && opts.horizon) || 1, 10) || 1));
+  const bounded = !!(opts && opts.bounded);
+  const gapMode = (opts && opts.gapMode) || 'gap';
+  const points = (Array.isArray(data) ? data : [])
+    .filter(d => d && hasValue(d.value))
+    .map(d => ({ year: parseInt(d.date, 10), value: Number(d.value) }))
+    .filter(p => Number.isFinite(p.year))
+    .sort((a, b) => a.year - b.year);
+  if (points.length < 2) {
+    return { model: null, horizon, points: fillSeriesGaps(observedPoints(data), gapMode) };
+  }
+
+  const requested = opts && opts.model;
+  const model = FORECAST_FITTERS[requested] && modelApplies(requested, points, bounded)
+    ? FORECAST_FITTERS[requested](points)
+    : selectForecastModel(points, bounded);
+
+  const firstYear = points[0].year;
+  const lastYear = points[points.length - 1].year;
+  const round = (v) => Math.round((bounded ? Math.min(100, Math.max(0, v)) : v) * 100) / 100;
+  const history = observedPoints(data).filter(p => parseInt(p.date, 10) >= firstYear && parseInt(p.date, 10) <= lastYear);
+  const out = fillSeriesGaps(history, gapMode);
+  for (let year = lastYear + 1; year <= lastYear + horizon; year++) {
+    const f = model.forecast(year);
+    out.push({
+      date: String(year),
+      value: round(f.value),
+      predicted: true,
+      model: model.name,
+      lower80: round(f.lower80),
+      upper80: round(f.upper80),
+      lower95: round(f.lower95),
+      upper95: round(f.upper95),
+    });
+  }
+  return { model: model.name, horizon, points: out };
+};
+
+// chart / export points for one series: gap handling, plus a forecast when opts.forecast is set
+const seriesPoints = (id, series, opts) => {
+  const gapMode = (opts && opts.gapMode) || 'gap';
+  if (opts && opts.forecast) {
+    return forecastSeries(series.data, { ...opts.forecast, gapMode, bounded: isBoundedIndicator(id) });
+  }
+  return { model: null, points: fillSeriesGaps(observedPoints(series.data), gapMode) };
+};
+
+ipcMain.handle('list-forecast-models', async () => ({ models: FORECAST_MODELS, maxHorizon: FORECAST_MAX_HORIZON }));
+
+ipcMain.handle('forecast-series', async (event, data, opts) => {
+  try {
+    return forecastSeries(data, opts);
+  } catch (err) {
+    log.warn('forecast-series failed', { err: err && err.message });
+    return null;
+  }
+});
+
+// forecast one indicator of one country straight from the merged data
+ipcMain.handle('forecast-indicator', async (event, country, id, opts) => {
+  try {
+    const data = await getCountryDataCached(country);
+    const series = data && data.indicators && data.indicators[id];
+    if (!series) return null;
+    const bounded = opts && opts.bounded !== undefined ? !!opts.bounded : isBoundedIndicator(id);
+    return { country: data.country, id, name: series.indicator_name, ...forecastSeries(series.data, { ...opts, bounded }) };
+  } catch (err) {
+    log.warn('forecast-indicator failed', { country, id, err: err && err.message });
+    return null;
+  }
+});
+
+ipcMain.handle('fill-series-gaps', async (event, data, mode) => fillSeriesGaps(observedPoints(data), mode));
+
+// points for one chart: opts { gapMode, forecast: { model, horizon } | null }
+ipcMain.handle('get-series-points', async (event, country, id, opts) => {
+  try {
+    const data = await getCountryDataCached(country);
+    const series = data && data.indicators && data.indicators[id];
+    if (!series) return null;
+    return { country: data.country, id, name: series.indicator_name, gapMode: (opts && opts.gapMode) || 'gap', ...seriesPoints(id, series, opts) };
+  } catch (err) {
+    log.warn('get-series-points failed', { country, id, err: err && err.message });
+    return null;
+  }
+});
+
+// ------------------------
+// Forecast backtesting
+// ------------------------
+// Holds out the last N observed years of each country x indicator series, forecasts them from the rest
+// with forecastSeries and scores the result. MAE is only reported per indicator because it is in the
+// indicator's own unit; MAPE and interval coverage are comparable across indicators.
+const BACKTEST_MAX_HOLDOUT = 5;
+const BACKTEST_MIN_TRAINING = 3;
+
+const newBacktestAcc = () => ({ points: 0, series: 0, absError: 0, apeCount: 0, ape: 0, in80: 0, in95: 0 });
+
+const addBacktestPoint = (acc, actual, f) => {
+  acc.points++;
+  acc.absError += Math.abs(f.value - actual);
+  if (actual !== 0) { acc.apeCount++; acc.ape += Math.abs((f.value - actual) / actual) * 100; }
+  if (actual >= f.lower80 && actual <= f.upper80) acc.in80++;
+  if (actual >= f.lower95 && actual <= f.upper95) acc.in95++;
+};
+
+const summarizeBacktest = (acc, withMae) => ({
+  series: acc.series,
+  points: acc.points,
+  mae: withMae && acc.points ? acc.absError / acc.points : null,
+  mape: acc.apeCount ? acc.ape / acc.apeCount : null,
+  coverage80: acc.points ? acc.in80 / acc.points : null,
+  coverage95: acc.points ? acc.in95 / acc.points : null,
+});
+
+/**
+ * opts: { holdout: 1-5, model, indicators: [ids], countries: [keys], includeAggregates: bool }
+ * onProgress(current, total) is called after each country.
+ */
+const runBacktest = async (store, opts, onProgress) => {
+  const holdout = Math.max(1, Math.min(BACKTEST_MAX_HOLDOUT, parseInt((opts && opts.holdout) || 3, 10) || 3));
+  const model = (opts && opts.model) || 'auto';
+  const ids = opts && Array.isArray(opts.indicators) ? opts.indicators.filter(id => store.indicators[id]) : Object.keys(store.indicators);
+  const allow = opts && Array.isArray(opts.countries) ? new Set(opts.countries.map(toCountryKey)) : null;
+  const includeAggregates = !!(opts && opts.includeAggregates);
+  const countryIdx = store.countries
+    .map((c, ci) => ci)
+    .filter(ci => (!allow || allow.has(store.countries[ci].key)) && (includeAggregates || !isAggregateCountry(store.countries[ci].key)));
+
+  const byIndicator = new Map(ids.map(id => [id, newBacktestAcc()]));
+  const byCountry = new Map();
+  const overall = newBacktestAcc();
+
+  let done = 0;
+  for (const ci of countryIdx) {
+    const country = store.countries[ci];
+    const countryAcc = newBacktestAcc();
+    for (const id of ids) {
+      const ind = store.indicators[id];
+      const observed = store.years
+        .map((year, yi) => ({ date: String(year), value: storeValue(store, ind, ci, yi) }))
+        .filter(d => d.value !== null);
+      if (observed.length < BACKTEST_MIN_TRAINING + holdout) continue;
+      const training = observed.slice(0, observed.length - holdout);
+      const heldOut = observed.slice(observed.length - holdout);
+      const lastTrainingYear = parseInt(training[training.length - 1].date, 10);
+      const horizon = parseInt(heldOut[heldOut.length - 1].date, 10) - lastTrainingYear;
+      const result = forecastSeries(training, { model, horizon, bounded: isBoundedIndicator(id) });
+      const forecasts = new Map(result.points.filter(p => p.predicted && p.lower95 !== undefined).map(p => [p.date, p]));
+      let scored = false;
+      for (const actual of heldOut) {
+        const f = forecasts.get(actual.date);
+        if (!f) continue;
+        for (const acc of [byIndicator.get(id), countryAcc, overall]) addBacktestPoint(acc, actual.value, f);
+        scored = true;
+      }
+      if (scored) { byIndicator.get(id).series++; countryAcc.series++; overall.series++; }
+    }
+    byCountry.set(country.key, countryAcc);
+    done++;
+    if (onProgress) onProgress(done, countryIdx.length);
+    // eslint-disable-next-line no-await-in-loop
+    await new Promise(resolve => setImmediate(resolve));
+  }
+
+  return {
+    holdout,
+    model,
+    overall: summarizeBacktest(overall, false),
+    byIndicator: ids.map(id => ({ id, name: store.indicators[id].name, ...summarizeBacktest(byIndicator.get(id), true) })),
+    byCountry: Array.from(byCountry.entries()).map(([key, acc]) => ({
+      country: key,
+      name: store.countries.find(c => c.key === key).name,
+      ...summarizeBacktest(acc, false),
+    })),
+  };
+};
+
+ipcMain.handle('run-forecast-backtest', async (event, opts) => {
+  log.info('IPC: run-forecast-backtest', { holdout: opts && opts.holdout, model: opts && opts.model });
+  try {
+    const store = await getIndicatorStore();
+    return await runBacktest(store, opts, (current, total) => {
       try {
-        log.info('fetchText: Making HTTPS request', { url });
-        const req = https.get(url, { timeout: 15000 }, res => {
-          log.info('fetchText: Response received', { statusCode: res.statusCode });
-          let buf = '';
-          res.on('data', d => {
-            buf += d;
-            log.debug('fetchText: Received data chunk', { size: d.length });
-          });
-          res.on('end', () => {
-            const result = String(buf || '').trim();
-            log.info('fetchText: Response complete', { result });
-            resolve(result);
-          });
-        });
-        req.on('error', (err) => { 
-          log.error('fetchText: Request error', { err: err && err.message }); 
-          reject(err); 
-        });
-        req.on('timeout', () => { 
-          log.error('fetchText: Request timeout');
-          req.destroy(); 
-          reject(new Error('timeout')); 
-        });
-      } catch (err) { 
-        log.error('fetchText: Exception', { err: err && err.message });
-        reject(err); 
+        if (!event.sender.isDestroyed()) event.sender.send('backtest-progress', { current, total });
+      } catch (e) { log.warn('failed to send backtest-progress', { err: e && e.message }); }
+    });
+  } catch (err) {
+    log.warn('run-forecast-backtest failed', { err: err && err.message });
+    return null;
+  }
+});
+
+// ------------------------
+// Derived indicators
+// ------------------------
+// User formulas over indicator ids, e.g. "NE.EXP.GNFS.CD / SP.POP.TOTL" or "growth(NY.GDP.MKTP.KD)".
+// Supported: numbers, + - * / ^, parentheses and lag(x, n), diff(x, n), growth(x, n), log(x), abs(x).
+// Formulas are evaluated per country over consecutive years; any missing operand gives a missing result.
+// Definitions persist in userData and the results are the last indicator overlay, added to country data and
+// the indicator store as ordinary series (source 'derived'), so they show up wherever indicators are listed.
+const DERIVED_FILE = 'derived_indicators.json';
+const DERIVED_PREFIX = 'DERIVED.';
+const FORMULA_FUNCTIONS = {
+  lag: { min: 1, max: 2 },
+  diff: { min: 1, max: 2 },
+  growth: { min: 1, max: 2 },
+  log: { min: 1, max: 1 },
+  abs: { min: 1, max: 1 },
+};
+
+const getDerivedFile = () => path.join(app.getPath('userData'), DERIVED_FILE);
+
+let derivedIndicators = null;
+
+const loadDerivedIndicators = () => {
+  if (derivedIndicators) return derivedIndicators;
+  const raw = readJsonFile(getDerivedFile());
+  derivedIndicators = raw && Array.isArray(raw.indicators) ? raw.indicators : [];
+  return derivedIndicators;
+};
+
+const saveDerivedIndicators = (list) => {
+  derivedIndicators = list;
+  ensureDir(path.dirname(getDerivedFile()));
+  fs.writeFileSync(getDerivedFile(), JSON.stringify({ version: 1, indicators: list }, null, 2));
+};
+
+const tokenizeFormula = (src) => {
+  const tokens = [];
+  let i = 0;
+  while (i < src.length) {
+    const rest = src.slice(i);
+    const space = /^\s+/.exec(rest);
+    if (space) { i += space[0].length; continue; }
+    const num = /^(\d+\.?\d*|\.\d+)(e[+-]?\d+)?/i.exec(rest);
+    if (num) { tokens.push({ type: 'num', value: parseFloat(num[0]), pos: i }); i += num[0].length; continue; }
+    const ident = /^[A-Za-z_][A-Za-z0-9_.]*/.exec(rest);
+    if (ident) { tokens.push({ type: 'ident', value: ident[0].replace(/\.$/, ''), pos: i }); i += ident[0].length; continue; }
+    if ('+-*/^(),'.includes(src[i])) { tokens.push({ type: 'op', value: src[i], pos: i }); i++; continue; }
+    throw new Error(`Unexpected character '${src[i]}' at position ${i + 1}`);
+  }
+  return tokens;
+};
+
+// recursive descent: expr := term (+|- term)* ; term := unary (*|/ unary)* ; unary := -unary | power ;
+// power := primary (^ unary)? ; primary := number | fn(args) | indicator | (expr)
+const parseFormula = (src) => {
+  const tokens = tokenizeFormula(String(src || ''));
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const isOp = (value) => peek() && peek().type === 'op' && peek().value === value;
+  const expect = (value) => {
+    if (!isOp(value)) throw new Error(`Expected '${value}'${peek() ? ` at position ${peek().pos + 1}` : ' at end of formula'}`);
+    pos++;
+  };
+
+  const parseExpr = () => {
+    let node = parseTerm();
+    while (isOp('+') || isOp('-')) { const op = tokens[pos++].value; node = { type: 'bin', op, left: node, right: parseTerm() }; }
+    return node;
+  };
+  const parseTerm = () => {
+    let node = parseUnary();
+    while (isOp('*') || isOp('/')) { const op = tokens[pos++].value; node = { type: 'bin', op, left: node, right: parseUnary() }; }
+    return node;
+  };
+  const parseUnary = () => {
+    if (isOp('-')) { pos++; return { type: 'neg', arg: parseUnary() }; }
+    const base = parsePrimary();
+    if (isOp('^')) { pos++; return { type: 'bin', op: '^', left: base, right: parseUnary() }; }
+    return base;
+  };
+  const parsePrimary = () => {
+    const tok = peek();
+    if (!tok) throw new Error('Unexpected end of formula');
+    if (tok.type === 'num') { pos++; return { type: 'num', value: tok.value }; }
+    if (tok.type === 'ident') {
+      pos++;
+      if (!isOp('(')) return { type: 'ref', id: tok.value };
+      const fn = FORMULA_FUNCTIONS[tok.value.toLowerCase()];
+      if (!fn) throw new Error(`Unknown function '${tok.value}'`);
+      pos++;
+      const args = [parseExpr()];
+      while (isOp(',')) { pos++; args.push(parseExpr()); }
+      expect(')');
+      if (args.length < fn.min || args.length > fn.max) throw new Error(`${tok.value}() takes ${fn.min === fn.max ? fn.min : `${fn.min}-${fn.max}`} argument(s)`);
+      if (args[1] && (args[1].type !== 'num' || !Number.isInteger(args[1].value) || args[1].value < 1)) {
+        throw new Error(`${tok.value}() period must be a positive whole number`);
+      }
+      return { type: 'call', fn: tok.value.toLowerCase(), args };
+    }
+    if (isOp('(')) { pos++; const node = parseExpr(); expect(')'); return node; }
+    throw new Error(`Unexpected '${tok.value}' at position ${tok.pos + 1}`);
+  };
+
+  const ast = parseExpr();
+  if (pos < tokens.length) throw new Error(`Unexpected '${tokens[pos].value}' at position ${tokens[pos].pos + 1}`);
+  return ast;
+};
+
+const formulaReferences = (node, out = new Set()) => {
+  if (node.type === 'ref') out.add(node.id);
+  if (node.left) formulaReferences(node.left, out);
+  if (node.right) formulaReferences(node.right, out);
+  if (node.arg) formulaReferences(node.arg, out);
+  if (node.args) node.args.forEach(a => formulaReferences(a, out));
+  return out;
+};
+
+const lagValues = (values, n) => values.map((v, i) => (i - n >= 0 ? values[i - n] : null));
+const zipValues = (a, b, f) => a.map((v, i) => (v === null || b[i] === null ? null : f(v, b[i])));
+const finiteOrNull = (v) => (Number.isFinite(v) ? v : null);
+
+/**
+ * Evaluate a parsed formula to an array aligned with `length` consecutive years.
+ * lookup(id) returns that indicator's aligned values, or null when the id is unknown.
+ */
+const evaluateFormula = (node, length, lookup) => {
+  switch (node.type) {
+    case 'num': return new Array(length).fill(node.value);
+    case 'ref': {
+      const values = lookup(node.id);
+      if (!values) throw new Error(`Unknown indicator '${node.id}'`);
+      return values;
+    }
+    case 'neg': return evaluateFormula(node.arg, length, lookup).map(v => (v === null ? null : -v));
+    case 'bin': {
+      const a = evaluateFormula(node.left, length, lookup);
+      const b = evaluateFormula(node.right, length, lookup);
+      if (node.op === '+') return zipValues(a, b, (x, y) => x + y);
+      if (node.op === '-') return zipValues(a, b, (x, y) => x - y);
+      if (node.op === '*') return zipValues(a, b, (x, y) => x * y);
+      if (node.op === '/') return zipValues(a, b, (x, y) => (y === 0 ? null : x / y));
+      return zipValues(a, b, (x, y) => finiteOrNull(x ** y));
+    }
+    case 'call': {
+      const x = evaluateFormula(node.args[0], length, lookup);
+      const n = node.args[1] ? node.args[1].value : 1;
+      if (node.fn === 'lag') return lagValues(x, n);
+      if (node.fn === 'diff') return zipValues(x, lagValues(x, n), (v, p) => v - p);
+      if (node.fn === 'growth') return zipValues(x, lagValues(x, n), (v, p) => (p === 0 ? null : (v / p - 1) * 100));
+      if (node.fn === 'log') return x.map(v => (v === null || v <= 0 ? null : Math.log(v)));
+      return x.map(v => (v === null ? null : Math.abs(v)));
+    }
+    default: throw new Error(`Unsupported formula node '${node.type}'`);
+  }
+};
+
+// wraps a raw lookup so derived ids resolve through their own formulas, rejecting cycles
+const derivedLookup = (rawLookup, length) => {
+  const defs = new Map(loadDerivedIndicators().map(d => [d.id, d]));
+  const memo = new Map();
+  const stack = new Set();
+  const lookup = (id) => {
+    if (!defs.has(id)) return rawLookup(id);
+    if (memo.has(id)) return memo.get(id);
+    if (stack.has(id)) throw new Error(`Formula cycle through '${id}'`);
+    stack.add(id);
+    try {
+      const values = evaluateFormula(parseFormula(defs.get(id).formula), length, lookup);
+      memo.set(id, values);
+      return values;
+    } finally {
+      stack.delete(id);
+    }
+  };
+  return lookup;
+};
+
+// add derived series to one country's merged data, shaped like World Bank records
+const withDerivedIndicators = (data) => {
+  const defs = loadDerivedIndicators();
+  if (!data || !defs.length) return data;
+  const years = new Set();
+  for (const series of Object.values(data.indicators)) {
+    for (const rec of series.data) { const y = parseInt(rec && rec.date, 10); if (Number.isFinite(y)) years.add(y); }
+  }
+  if (!years.size) return data;
+  const first = Math.min(...years);
+  const last = Math.max(...years);
+  const length = last - first + 1;
+  const sample = Object.values(data.indicators).map(s => s.data.find(r => r && r.country)).find(Boolean);
+
+  const lookup = derivedLookup((id) => {
+    const series = data.indicators[id];
+    if (!series) return null;
+    const values = new Array(length).fill(null);
+    for (const rec of series.data) {
+      const y = parseInt(rec && rec.date, 10);
+      if (Number.isFinite(y) && typeof rec.value === 'number') values[y - first] = rec.value;
+    }
+    return values;
+  }, length);
+
+  const indicators = { ...data.indicators };
+  for (const def of defs) {
+    let values;
+    try { values = lookup(def.id); } catch (e) { continue; }
+    const records = [];
+    for (let i = length - 1; i >= 0; i--) {
+      records.push({
+        indicator: { id: def.id, value: def.name },
+        country: sample ? sample.country : { id: '', value: data.country },
+        countryiso3code: sample ? sample.countryiso3code : '',
+        date: String(first + i),
+        value: values[i],
+        unit: def.unit || '',
+        obs_status: '',
+        decimal: 0,
+      });
+    }
+    indicators[def.id] = { indicator_name: def.name, data: records, source: 'derived', packVersion: null, formula: def.formula };
+  }
+  return { ...data, indicators };
+};
+
+// recompute derived series in the in-memory store (never written to the on-disk cache)
+const applyDerivedIndicators = (store) => {
+  for (const id of Object.keys(store.indicators)) {
+    if (store.indicators[id].derived) delete store.indicators[id];
+  }
+  const defs = loadDerivedIndicators();
+  if (!defs.length) return store;
+  const length = store.years.length;
+  const results = defs.map(def => ({ def, values: new Float64Array(store.countries.length * length).fill(NaN) }));
+  store.countries.forEach((c, ci) => {
+    const lookup = derivedLookup((id) => (store.indicators[id] ? storeRow(store, store.indicators[id], ci) : null), length);
+    for (const { def, values } of results) {
+      let row;
+      try { row = lookup(def.id); } catch (e) { continue; }
+      row.forEach((v, yi) => { if (v !== null) values[ci * length + yi] = v; });
+    }
+  });
+  for (const { def, values } of results) store.indicators[def.id] = { name: def.name, values, derived: true, formula: def.formula };
+  return store;
+};
+
+registerIndicatorOverlay({ id: 'derived', order: 30, country: withDerivedIndicators, store: applyDerivedIndicators });
+
+const knownIndicatorIds = async () => {
+  const store = await getIndicatorStore();
+  return new Set([...Object.keys(store.indicators), ...loadDerivedIndicators().map(d => d.id)]);
+};
+
+const validateFormula = async (formula, selfId) => {
+  const ast = parseFormula(formula);
+  const refs = Array.from(formulaReferences(ast));
+  const known = await knownIndicatorIds();
+  if (selfId && refs.includes(selfId)) throw new Error('A formula cannot reference its own indicator');
+  const unknown = refs.filter(id => !known.has(id));
+  if (unknown.length) throw new Error(`Unknown indicator(s): ${unknown.join(', ')}`);
+  return { ast, references: refs };
+};
+
+// true when following derived references from `id` leads back to a derived id already on the path
+const hasFormulaCycle = (list, id) => {
+  const defs = new Map(list.map(d => [d.id, d]));
+  const visit = (current, path) => {
+    if (path.has(current)) return true;
+    const def = defs.get(current);
+    if (!def) return false;
+    const next = new Set(path).add(current);
+    return Array.from(formulaReferences(parseFormula(def.formula))).some(ref => visit(ref, next));
+  };
+  return visit(id, new Set());
+};
+
+const derivedChanged = () => {
+  clearCountryCache();
+  if (indicatorStore) applyStoreOverlays(indicatorStore, 'derived');
+  sendToRenderer('indicators-updated', { success: true, overlay: 'derived' });
+};
+
+ipcMain.handle('list-derived-indicators', async () => loadDerivedIndicators());
+
+ipcMain.handle('validate-derived-formula', async (event, formula) => {
+  try {
+    const { references } = await validateFormula(formula);
+    return { success: true, references };
+  } catch (err) {
+    return ipcError(err);
+  }
+});
+
+// preview a formula for every country without saving it
+ipcMain.handle('evaluate-derived-formula', async (event, formula) => {
+  try {
+    const { ast } = await validateFormula(formula);
+    const store = await getIndicatorStore();
+    const values = store.countries.map((c, ci) => {
+      const lookup = derivedLookup((id) => (store.indicators[id] ? storeRow(store, store.indicators[id], ci) : null), store.years.length);
+      return evaluateFormula(ast, store.years.length, lookup);
+    });
+    return { success: true, years: store.years, countries: store.countries, values };
+  } catch (err) {
+    return ipcError(err);
+  }
+});
+
+// def: { id?, name, formula, unit? } - a missing id is generated from the name, suffixed (_2, _3, ...)
+// when another derived indicator already has it
+ipcMain.handle('save-derived-indicator', async (event, def) => {
+  try {
+    const name = String((def && def.name) || '').trim();
+    if (!name) return { success: false, error: 'missing name' };
+    const existing = loadDerivedIndicators();
+    let id = def.id && String(def.id).startsWith(DERIVED_PREFIX) && String(def.id).length > DERIVED_PREFIX.length ? String(def.id) : null;
+    if (!id) {
+      const slug = name.toUpperCase().replace(/[^A-Z0-9]+/g, '_').replace(/^_|_$/g, '');
+      if (!slug) return { success: false, error: 'name must contain a letter or digit' };
+      const baseId = `${DERIVED_PREFIX}${slug}`;
+      id = baseId;
+      for (let n = 2; existing.some(d => d.id === id); n++) id = `${baseId}_${n}`;
+    }
+    await validateFormula(def.formula, id);
+    const entry = { id, name, formula: String(def.formula), unit: def.unit ? String(def.unit) : '', updatedAt: new Date().toISOString() };
+    const list = existing.filter(d => d.id !== id);
+    list.push(entry);
+    if (hasFormulaCycle(list, id)) return { success: false, error: `Formula cycle through '${id}'` };
+    saveDerivedIndicators(list);
+    derivedChanged();
+    log.info('derived indicator saved', { id });
+    return { success: true, indicator: entry };
+  } catch (err) {
+    return ipcError(err, 'warn', 'save-derived-indicator failed');
+  }
+});
+
+ipcMain.handle('delete-derived-indicator', async (event, id) => {
+  try {
+    const list = loadDerivedIndicators();
+    if (!list.some(d => d.id === id)) return false;
+    saveDerivedIndicators(list.filter(d => d.id !== id));
+    derivedChanged();
+    return true;
+  } catch (err) {
+    log.warn('delete-derived-indicator failed', { id, err: err && err.message });
+    return false;
+  }
+});
+
+// ------------------------
+// Workbook export
+// ------------------------
+// Workbooks are laid out and written by the renderer with the ExcelJS it already bundles for the chart
+// "Export .xlsx" button. The main process collects the series (with the forecast and gap-filling the
+// charts use), annotations and version metadata, and writes the finished files where the user chooses.
+const safeFileName = (name) => String(name || 'export').replace(/[<>:"/\\|?*]+/g, '_');
+
+/**
+ * Collect the series to export for one country.
+ * opts: { indicators: [ids] (default: all), forecast: { horizon, model } | null, gapMode }
+ */
+const collectCountryExport = async (country, opts) => {
+  const data = await getCountryDataCached(country);
+  if (!data || data.source === 'none') return null;
+  const ids = opts && Array.isArray(opts.indicators) && opts.indicators.length
+    ? opts.indicators.filter(id => data.indicators[id])
+    : Object.keys(data.indicators);
+  const sample = Object.values(data.indicators).map(s => s.data.find(r => r && r.country)).find(Boolean);
+  const countryName = sample ? sample.country.value : data.country.replace(/_/g, ' ');
+  const series = ids.map((id) => {
+    const s = data.indicators[id];
+    const { model, points } = seriesPoints(id, s, opts);
+    return { id, name: s.indicator_name || id, source: s.source, packVersion: s.packVersion, formula: s.formula || null, model, points };
+  });
+  return { country: data.country, countryName, iso3: sample ? sample.countryiso3code : '', series };
+};
+
+// what every workbook carries besides its data sheets
+const workbookExtras = async (countries, ids) => ({
+  ...annotationsExport(countries, ids),
+  packVersion: await readInstalledIndicatorVersion(),
+  appVersion: app.getVersion(),
+  exportedAt: new Date().toISOString(),
+});
+
+// country profiles for the full-profile and batch workbooks; opts as for collectCountryExport
+ipcMain.handle('get-workbook-profiles', async (event, countries, opts) => {
+  const list = (Array.isArray(countries) ? countries : []).filter(Boolean);
+  if (!list.length) return { success: false, error: 'no countries' };
+  try {
+    const profiles = [];
+    for (const country of list) {
+      // eslint-disable-next-line no-await-in-loop
+      const profile = await collectCountryExport(country, opts);
+      if (profile) profiles.push(profile);
+    }
+    if (!profiles.length) return { success: false, error: 'no data' };
+    const ids = opts && Array.isArray(opts.indicators) && opts.indicators.length ? opts.indicators : null;
+    return { success: true, profiles, ...(await workbookExtras(profiles.map(p => p.country), ids)) };
+  } catch (err) {
+    return ipcError(err, 'error', 'get-workbook-profiles failed');
+  }
+});
+
+// the Compare tab's current view: one column per series, in the selected normalization mode
+ipcMain.handle('get-compare-workbook', async (event, countries, id, opts) => {
+  try {
+    const compare = buildCompareSeries(await getIndicatorStore(), countries, id, opts);
+    if (!compare || !compare.series.length) return { success: false, error: 'no data' };
+    return { success: true, id, compare, ...(await workbookExtras(compare.series.map(s => s.country), [id])) };
+  } catch (err) {
+    return ipcError(err, 'error', 'get-compare-workbook failed', { id });
+  }
+});
+
+const chooseSavePath = async (defaultName, filters) => {
+  const res = await dialog.showSaveDialog(dialogParent(), { defaultPath: path.join(app.getPath('documents'), defaultName), filters });
+  return res.canceled ? null : res.filePath;
+};
+
+const XLSX_FILTERS = [{ name: 'Excel Workbook', extensions: ['xlsx'] }];
+
+/**
+ * Write files built in the renderer: files = [{ name, data: Uint8Array }]. One file asks for a save path,
+ * several ask for a folder and are written there under their (sanitized) names.
+ */
+ipcMain.handle('save-export-files', async (event, files) => {
+  const list = (Array.isArray(files) ? files : []).filter(f => f && f.name && f.data);
+  if (!list.length) return { success: false, error: 'nothing to save' };
+  try {
+    if (list.length === 1) {
+      const filePath = await chooseSavePath(safeFileName(list[0].name), /\.xlsx$/i.test(list[0].name) ? XLSX_FILTERS : []);
+      if (!filePath) return { success: false, canceled: true };
+      await fs.promises.writeFile(filePath, Buffer.from(list[0].data));
+      log.info('export file written', { filePath });
+      return { success: true, filePath, written: [filePath] };
+    }
+    const res = await dialog.showOpenDialog(dialogParent(), { properties: ['openDirectory', 'createDirectory'] });
+    if (res.canceled || !res.filePaths[0]) return { success: false, canceled: true };
+    const written = [];
+    for (const f of list) {
+      const filePath = path.join(res.filePaths[0], safeFileName(f.name));
+      // eslint-disable-next-line no-await-in-loop
+      await fs.promises.writeFile(filePath, Buffer.from(f.data));
+      written.push(filePath);
+    }
+    log.info('export files written', { dir: res.filePaths[0], written: written.length });
+    return { success: true, dir: res.filePaths[0], written };
+  } catch (err) {
+    return ipcError(err, 'error', 'save-export-files failed');
+  }
+});
+
+// ------------------------
+// User indicator import (CSV / XLSX)
+// ------------------------
+// Long-format files (one row per country and year) are mapped column by column, countries are matched
+// by name, ISO2 or ISO3 against the known list, and the result is kept in userData as a user indicator.
+// User series are an indicator overlay (source 'user'), applied before derived ones so formulas can reference them.
+const USER_INDICATORS_FILE = 'user_indicators.json';
+const USER_PREFIX = 'USER.';
+const IMPORT_PREVIEW_ROWS = 20;
+
+const getUserIndicatorsFile = () => path.join(app.getPath('userData'), USER_INDICATORS_FILE);
+
+let userIndicators = null;
+
+const loadUserIndicators = () => {
+  if (userIndicators) return userIndicators;
+  const raw = readJsonFile(getUserIndicatorsFile());
+  userIndicators = raw && Array.isArray(raw.indicators) ? raw.indicators : [];
+  return userIndicators;
+};
+
+const saveUserIndicators = (list) => {
+  userIndicators = list;
+  ensureDir(path.dirname(getUserIndicatorsFile()));
+  fs.writeFileSync(getUserIndicatorsFile(), JSON.stringify({ version: 1, indicators: list }));
+};
+
+// minimal RFC 4180 parser; the delimiter is guessed from the header line (comma, semicolon or tab) and
+// returned alongside the rows, since semicolon files come from locales that write decimal commas
+const parseCsvText = (text) => {
+  const src = String(text || '').replace(/^﻿/, '');
+  const firstLine = src.split(/\r?\n/, 1)[0] || '';
+  const delimiter = [',', ';', '\t'].reduce((best, d) => (firstLine.split(d).length > firstLine.split(best).length ? d : best), ',');
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') { cell += '"'; i++; } else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === delimiter) { row.push(cell); cell = ''; }
+    else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      row.push(cell); rows.push(row); row = []; cell = '';
+    } else cell += ch;
+  }
+  if (cell !== '' || row.length) { row.push(cell); rows.push(row); }
+  return { rows: rows.filter(r => r.some(c => String(c).trim() !== '')), delimiter };
+};
+
+// { rows, decimalSeparator }: xlsx sheets are read by the renderer's ExcelJS and passed in as `rows`; their
+// numbers are typed, so only CSV text needs the locale guess
+const readImportRows = async (filePath, rows) => {
+  if (Array.isArray(rows)) return { rows, decimalSeparator: '.' };
+  if (/\.xlsx$/i.test(filePath)) throw new Error('xlsx rows must be read by the renderer');
+  const { rows: csvRows, delimiter } = parseCsvText(fs.readFileSync(filePath, 'utf8'));
+  return { rows: csvRows, decimalSeparator: delimiter === ';' ? ',' : '.' };
+};
+
+// a single group of three digits after the thousands separator ("1,234" with '.' decimals, "1.234" with ','
+// decimals) reads as a thousand or as one point two; longer groupings and mixed separators are unambiguous
+const isAmbiguousImportNumber = (v, decimalSeparator) => typeof v !== 'number'
+  && (decimalSeparator === ',' ? /^-?\d{1,3}\.\d{3}$/ : /^-?\d{1,3},\d{3}$/).test(String(v ?? '').trim().replace(/\s/g, ''));
+
+/**
+ * Parse one imported value. Returns null for blanks and missing-value markers, and undefined when the text
+ * is not a number, or is ambiguous while the decimal separator is only `guessed` from the file (see
+ * isAmbiguousImportNumber). Thousands separators are dropped, and a lone separator of either kind is a
+ * decimal point: "12,5" and "1.5" read the same with either setting.
+ */
+const parseImportNumber = (v, decimalSeparator, guessed) => {
+  if (typeof v === 'number') return Number.isFinite(v) ? v : undefined;
+  const s = String(v ?? '').trim().replace(/\s/g, '');
+  if (!s || /^(\.\.|n\/?a|null|-)$/i.test(s)) return null;
+  if (guessed && isAmbiguousImportNumber(s, decimalSeparator)) return undefined;
+  const [group, decimal] = decimalSeparator === ',' ? ['.', ','] : [',', '.'];
+  let text = s;
+  if (new RegExp(`^-?\\d{1,3}(\\${group}\\d{3})+(\\${decimal}\\d+)?$`).test(s)) text = s.split(group).join('').replace(decimal, '.');
+  else if (/^-?\d*[.,]\d+$/.test(s)) text = s.replace(',', '.');
+  if (text.includes(',')) return undefined;
+  const n = Number(text);
+  return Number.isFinite(n) ? n : undefined;
+};
+
+// lookup from lower-cased name / ISO2 / ISO3 to country key, built from the cross-country store
+const buildCountryMatcher = (store) => {
+  const byName = new Map();
+  const byIso2 = new Map();
+  const byIso3 = new Map();
+  for (const c of store.countries) {
+    const key = (ECONOMY_ALIASES[c.key] || c.key);
+    byName.set(c.name.toLowerCase(), key);
+    byName.set(c.key.replace(/_/g, ' ').toLowerCase(), key);
+    if (c.iso2) byIso2.set(c.iso2.toLowerCase(), key);
+    if (c.iso3) byIso3.set(c.iso3.toLowerCase(), key);
+  }
+  return (value, mode) => {
+    const v = String(value || '').trim().toLowerCase();
+    if (!v) return null;
+    if (mode === 'iso2') return byIso2.get(v) || null;
+    if (mode === 'iso3') return byIso3.get(v) || null;
+    if (mode === 'name') return byName.get(v) || null;
+    return byIso3.get(v) || byIso2.get(v) || byName.get(v) || null;
+  };
+};
+
+// the file last picked in the import dialog; only it can be read back as bytes
+let chosenImportFile = null;
+
+ipcMain.handle('choose-import-file', async () => {
+  const res = await dialog.showOpenDialog(dialogParent(), {
+    properties: ['openFile'],
+    filters: [{ name: 'Spreadsheets', extensions: ['csv', 'xlsx'] }],
+  });
+  chosenImportFile = res.canceled || !res.filePaths[0] ? null : res.filePaths[0];
+  return chosenImportFile;
+});
+
+// raw bytes of the chosen xlsx, for the renderer to read with ExcelJS
+ipcMain.handle('read-import-file', async (event, filePath) => {
+  if (!filePath || filePath !== chosenImportFile) return null;
+  try {
+    return new Uint8Array(await fs.promises.readFile(filePath));
+  } catch (err) {
+    log.warn('read-import-file failed', { filePath, err: err && err.message });
+    return null;
+  }
+});
+
+// header row plus the first rows, for the column-mapping step of the wizard; rows: the sheet of an xlsx
+ipcMain.handle('preview-import-file', async (event, filePath, sheetRows) => {
+  try {
+    const { rows, decimalSeparator } = await readImportRows(filePath, sheetRows);
+    return { success: true, headers: (rows[0] || []).map(String), rows: rows.slice(1, IMPORT_PREVIEW_ROWS + 1), rowCount: Math.max(0, rows.length - 1), decimalSeparator };
+  } catch (err) {
+    return ipcError(err, 'warn', 'preview-import-file failed', { filePath });
+  }
+});
+
+/**
+ * opts: { filePath, rows (xlsx only), name, unit, columns: { country, year, value } (header names or indices),
+ *         countryMatch: 'auto' | 'name' | 'iso2' | 'iso3', decimalSeparator: ',' | '.' (default from the file),
+ *         replace: id of an existing user indicator to overwrite, dryRun }
+ * Returns match statistics, samples of the invalid and ambiguous values (ambiguous ones are skipped unless
+ * decimalSeparator is given) and any `collision` with an existing id. Unless dryRun the indicator is saved;
+ * a colliding id is suffixed (_2, _3, ...) unless `replace` names it.
+ */
+ipcMain.handle('import-user-indicator', async (event, opts) => {
+  log.info('IPC: import-user-indicator', { filePath: opts && opts.filePath, name: opts && opts.name });
+  try {
+    const name = String((opts && opts.name) || '').trim();
+    if (!opts || !opts.filePath || !opts.columns) return { success: false, error: 'missing file or column mapping' };
+    if (!name && !opts.dryRun) return { success: false, error: 'missing name' };
+    const slug = name.toUpperCase().replace(/[^A-Z0-9]+/g, '_').replace(/^_|_$/g, '');
+    if (name && !slug) return { success: false, error: 'name must contain a letter or digit' };
+    const { rows, decimalSeparator: detected } = await readImportRows(opts.filePath, opts.rows);
+    const guessed = opts.decimalSeparator !== ',' && opts.decimalSeparator !== '.';
+    const decimalSeparator = guessed ? detected : opts.decimalSeparator;
+    const headers = (rows[0] || []).map(h => String(h).trim());
+    const col = (c) => (typeof c === 'number' ? c : headers.indexOf(String(c).trim()));
+    const ci = col(opts.columns.country);
+    const yi = col(opts.columns.year);
+    const vi = col(opts.columns.value);
+    if (ci < 0 || yi < 0 || vi < 0) return { success: false, error: 'mapped column not found' };
+
+    const match = buildCountryMatcher(await getIndicatorStore());
+    const values = {};
+    const unmatched = new Set();
+    const invalidValues = [];
+    const ambiguousValues = [];
+    let invalidRows = 0;
+    let ambiguousRows = 0;
+    let imported = 0;
+    for (const row of rows.slice(1)) {
+      const key = match(row[ci], opts.countryMatch);
+      const year = parseInt(row[yi], 10);
+      const value = parseImportNumber(row[vi], decimalSeparator, guessed);
+      if (!key) { if (String(row[ci] || '').trim()) unmatched.add(String(row[ci]).trim()); continue; }
+      if (!Number.isFinite(year) || year < 1800 || year > 2200) { invalidRows++; continue; }
+      if (value === undefined && guessed && isAmbiguousImportNumber(row[vi], decimalSeparator)) {
+        ambiguousRows++;
+        if (ambiguousValues.length < IMPORT_PREVIEW_ROWS) ambiguousValues.push(String(row[vi]));
+        continue;
+      }
+      if (value === undefined) {
+        invalidRows++;
+        if (invalidValues.length < IMPORT_PREVIEW_ROWS) invalidValues.push(String(row[vi]));
+        continue;
+      }
+      if (!values[key]) values[key] = {};
+      values[key][year] = value;
+      imported++;
+    }
+    const existing = loadUserIndicators();
+    const baseId = `${USER_PREFIX}${slug}`;
+    const clash = slug ? existing.find(u => u.id === baseId) : null;
+    const result = {
+      success: true,
+      rows: rows.length - 1,
+      imported,
+      countries: Object.keys(values).length,
+      unmatched: Array.from(unmatched).sort(),
+      invalidRows,
+      invalidValues,
+      ambiguousRows,
+      ambiguousValues,
+      decimalSeparator,
+      collision: clash ? { id: clash.id, name: clash.name } : null,
+    };
+    if (opts.dryRun) return result;
+    if (!imported) return { ...result, success: false, error: 'no rows matched a known country' };
+
+    let id = baseId;
+    if (clash && opts.replace !== baseId) {
+      for (let n = 2; existing.some(u => u.id === id); n++) id = `${baseId}_${n}`;
+    }
+    const entry = { id, name, unit: opts.unit ? String(opts.unit) : '', sourceFile: path.basename(opts.filePath), importedAt: new Date().toISOString(), values };
+    saveUserIndicators(existing.filter(u => u.id !== entry.id).concat(entry));
+    userIndicatorsChanged();
+    log.info('user indicator imported', { id: entry.id, imported, unmatched: unmatched.size });
+    return { ...result, indicator: { id: entry.id, name: entry.name, unit: entry.unit } };
+  } catch (err) {
+    return ipcError(err, 'error', 'import-user-indicator failed');
+  }
+});
+
+ipcMain.handle('list-user-indicators', async () => loadUserIndicators().map(({ values, ...meta }) => ({ ...meta, countries: Object.keys(values || {}).length })));
+
+ipcMain.handle('delete-user-indicator', async (event, id) => {
+  try {
+    const list = loadUserIndicators();
+    if (!list.some(u => u.id === id)) return false;
+    saveUserIndicators(list.filter(u => u.id !== id));
+    userIndicatorsChanged();
+    return true;
+  } catch (err) {
+    log.warn('delete-user-indicator failed', { id, err: err && err.message });
+    return false;
+  }
+});
+
+// add user series to one country's merged data, shaped like World Bank records
+const withUserIndicators = (data) => {
+  const list = loadUserIndicators();
+  if (!data || !list.length) return data;
+  const key = ECONOMY_ALIASES[data.country] || data.country;
+  const sample = Object.values(data.indicators).map(s => s.data.find(r => r && r.country)).find(Boolean);
+  const indicators = { ...data.indicators };
+  for (const u of list) {
+    const byYear = u.values && u.values[key];
+    if (!byYear) continue;
+    const records = Object.keys(byYear).map(Number).sort((a, b) => b - a).map(year => ({
+      indicator: { id: u.id, value: u.name },
+      country: sample ? sample.country : { id: '', value: data.country },
+      countryiso3code: sample ? sample.countryiso3code : '',
+      date: String(year),
+      value: byYear[year],
+      unit: u.unit || '',
+      obs_status: '',
+      decimal: 0,
+    }));
+    indicators[u.id] = { indicator_name: u.name, data: records, source: 'user', packVersion: null, sourceFile: u.sourceFile };
+  }
+  return { ...data, indicators };
+};
+
+// user series in the in-memory store; years outside the store's range are only in country data
+const applyUserIndicators = (store) => {
+  for (const id of Object.keys(store.indicators)) {
+    if (store.indicators[id].user) delete store.indicators[id];
+  }
+  const length = store.years.length;
+  for (const u of loadUserIndicators()) {
+    const values = new Float64Array(store.countries.length * length).fill(NaN);
+    store.countries.forEach((c, ci) => {
+      const byYear = u.values && u.values[ECONOMY_ALIASES[c.key] || c.key];
+      if (!byYear) return;
+      store.years.forEach((year, yi) => {
+        if (typeof byYear[year] === 'number') values[ci * length + yi] = byYear[year];
+      });
+    });
+    store.indicators[u.id] = { name: u.name, values, user: true };
+  }
+  return store;
+};
+
+registerIndicatorOverlay({ id: 'user', order: 20, country: withUserIndicators, store: applyUserIndicators });
+
+const userIndicatorsChanged = () => {
+  clearCountryCache();
+  if (indicatorStore) applyStoreOverlays(indicatorStore, 'user');
+  sendToRenderer('indicators-updated', { success: true, overlay: 'user' });
+};
+
+// ------------------------
+// Indicators fetched from a World Bank API v2-compatible endpoint
+// ------------------------
+// Any indicator code can be added from <baseUrl>/country/all/indicator/<code> (paged). Records are kept in
+// their v2 shape under userData/api_indicators, keyed by country, and applied as the first indicator overlay
+// (source 'api'); a fetched id replaces the pack series of the same id. The hourly check refreshes them.
+const API_SETTINGS_FILE = 'api_indicators.json';
+const API_DATA_DIR = 'api_indicators';
+const API_DEFAULT_BASE_URL = 'https://api.worldbank.org/v2';
+const API_PER_PAGE = 1000;
+const API_REFRESH_MS = 1000 * 60 * 60 * 24;
+
+const getApiSettingsFile = () => path.join(app.getPath('userData'), API_SETTINGS_FILE);
+const getApiDataFile = (id) => path.join(app.getPath('userData'), API_DATA_DIR, `${id.replace(/[^A-Za-z0-9._-]/g, '_')}.json`);
+
+let apiSettings = null;
+const apiSeriesCache = new Map();
+
+const loadApiSettings = () => {
+  if (apiSettings) return apiSettings;
+  const raw = readJsonFile(getApiSettingsFile());
+  apiSettings = {
+    baseUrl: (raw && raw.baseUrl) || API_DEFAULT_BASE_URL,
+    indicators: raw && Array.isArray(raw.indicators) ? raw.indicators : [],
+  };
+  return apiSettings;
+};
+
+const saveApiSettings = (settings) => {
+  apiSettings = settings;
+  ensureDir(path.dirname(getApiSettingsFile()));
+  fs.writeFileSync(getApiSettingsFile(), JSON.stringify({ version: 1, ...settings }, null, 2));
+};
+
+const loadApiSeries = (id) => {
+  if (!apiSeriesCache.has(id)) {
+    const raw = readJsonFile(getApiDataFile(id));
+    apiSeriesCache.set(id, (raw && raw.byCountry) || {});
+  }
+  return apiSeriesCache.get(id);
+};
+
+const apiIndicatorsChanged = () => {
+  clearCountryCache();
+  // the disk cache never contains fetched series, so reloading it drops replaced or removed ones
+  dropIndicatorStore();
+  sendToRenderer('indicators-updated', { success: true, overlay: 'api' });
+};
+
+const normalizeBaseUrl = (url) => String(url || '').trim().replace(/\/+$/, '');
+
+// opts.baseUrl when given, else the saved one; only http(s) endpoints are fetched
+const resolveApiBaseUrl = (opts) => {
+  const baseUrl = normalizeBaseUrl((opts && opts.baseUrl) || loadApiSettings().baseUrl);
+  if (!/^https?:\/\//i.test(baseUrl)) throw new Error('base URL must be http(s)');
+  return baseUrl;
+};
+
+// v2 answers errors with [{ message: [{ id, key, value }] }] and a 200 status
+const apiPayload = (json) => {
+  if (Array.isArray(json) && json[0] && json[0].message) {
+    const m = json[0].message[0] || {};
+    throw new Error(m.value || m.key || 'API error');
+  }
+  if (!Array.isArray(json) || !json[0]) throw new Error('unexpected API response');
+  return { meta: json[0], rows: Array.isArray(json[1]) ? json[1] : [] };
+};
+
+const fetchApiIndicatorMeta = async (baseUrl, code, job) => {
+  const { rows } = apiPayload(await fetchJsonWithRetry(job, `${baseUrl}/indicator/${encodeURIComponent(code)}?format=json`, {}));
+  const meta = rows[0];
+  if (!meta) throw new Error(`unknown indicator ${code}`);
+  return {
+    id: meta.id || code,
+    name: meta.name || code,
+    unit: meta.unit || '',
+    sourceNote: meta.sourceNote || '',
+    sourceOrganization: meta.sourceOrganization || '',
+    topics: Array.isArray(meta.topics) ? meta.topics.map(t => t && t.value).filter(Boolean) : [],
+  };
+};
+
+// all pages of one indicator for every country, grouped by store country key
+const fetchApiIndicatorData = async (baseUrl, code, job, onPage) => {
+  const store = await getIndicatorStore();
+  const byIso3 = new Map(store.countries.filter(c => c.iso3).map(c => [c.iso3.toUpperCase(), c.key]));
+  const match = buildCountryMatcher(store);
+  const byCountry = {};
+  const unmatched = new Set();
+  let records = 0;
+  let lastUpdated = null;
+  for (let page = 1, pages = 1; page <= pages; page++) {
+    const url = `${baseUrl}/country/all/indicator/${encodeURIComponent(code)}?format=json&per_page=${API_PER_PAGE}&page=${page}`;
+    const { meta, rows } = apiPayload(await fetchJsonWithRetry(job, url, {}));
+    pages = Number(meta.pages) || 1;
+    lastUpdated = meta.lastupdated || lastUpdated;
+    for (const r of rows) {
+      if (!r || !r.date) continue;
+      const key = byIso3.get(String(r.countryiso3code || '').toUpperCase()) || match(r.country && r.country.value, 'name');
+      if (!key) {
+        unmatched.add((r.country && r.country.value) || r.countryiso3code);
+        continue;
+      }
+      (byCountry[key] = byCountry[key] || []).push(r);
+      records++;
+    }
+    if (onPage) onPage(page, pages);
+  }
+  for (const list of Object.values(byCountry)) list.sort((a, b) => Number(b.date) - Number(a.date));
+  return { byCountry, records, unmatched: Array.from(unmatched).filter(Boolean).sort(), lastUpdated };
+};
+
+// fetch (or refetch) one indicator and persist it; settings entry is added or updated
+const fetchApiIndicator = async (code, opts) => {
+  const baseUrl = resolveApiBaseUrl(opts);
+  const job = createDownloadJob();
+  const meta = await fetchApiIndicatorMeta(baseUrl, code, job);
+  const data = await fetchApiIndicatorData(baseUrl, code, job, (page, pages) => {
+    sendToRenderer('api-indicator-progress', { id: meta.id, page, pages });
+  });
+  if (!data.records) throw new Error(`no data for ${code} at ${baseUrl}`);
+  const file = getApiDataFile(meta.id);
+  ensureDir(path.dirname(file));
+  fs.writeFileSync(file, JSON.stringify({ id: meta.id, byCountry: data.byCountry }));
+  apiSeriesCache.delete(meta.id);
+  const entry = { ...meta, baseUrl, fetchedAt: new Date().toISOString(), lastUpdated: data.lastUpdated, countries: Object.keys(data.byCountry).length, records: data.records };
+  const current = loadApiSettings();
+  saveApiSettings({ ...current, indicators: current.indicators.filter(i => i.id !== meta.id).concat(entry) });
+  apiIndicatorsChanged();
+  log.info('api indicator fetched', { id: meta.id, baseUrl, records: data.records, unmatched: data.unmatched.length });
+  return { ...entry, unmatched: data.unmatched };
+};
+
+// refresh fetched indicators older than API_REFRESH_MS (all of them when force is set)
+const refreshApiIndicators = async (force) => {
+  const results = [];
+  for (const entry of loadApiSettings().indicators) {
+    if (!force && entry.fetchedAt && Date.now() - Date.parse(entry.fetchedAt) < API_REFRESH_MS) continue;
+    try {
+      const updated = await fetchApiIndicator(entry.id, { baseUrl: entry.baseUrl });
+      results.push({ id: entry.id, success: true, records: updated.records });
+    } catch (err) {
+      log.warn('refreshApiIndicators: refresh failed', { id: entry.id, err: err && err.message });
+      results.push({ id: entry.id, success: false, error: String(err && err.message) });
+    }
+  }
+  return results;
+};
+
+ipcMain.handle('get-api-settings', async () => {
+  const { baseUrl, indicators } = loadApiSettings();
+  return { baseUrl, defaultBaseUrl: API_DEFAULT_BASE_URL, indicators };
+});
+
+ipcMain.handle('set-api-base-url', async (event, url) => {
+  const baseUrl = normalizeBaseUrl(url) || API_DEFAULT_BASE_URL;
+  if (!/^https?:\/\//i.test(baseUrl)) return { success: false, error: 'base URL must be http(s)' };
+  saveApiSettings({ ...loadApiSettings(), baseUrl });
+  return { success: true, baseUrl };
+});
+
+// metadata only, so the dialog can confirm the code before downloading
+ipcMain.handle('lookup-api-indicator', async (event, code, opts) => {
+  try {
+    const baseUrl = resolveApiBaseUrl(opts);
+    return { success: true, indicator: await fetchApiIndicatorMeta(baseUrl, String(code || '').trim(), createDownloadJob()) };
+  } catch (err) {
+    return ipcError(err);
+  }
+});
+
+ipcMain.handle('add-api-indicator', async (event, code, opts) => {
+  const id = String(code || '').trim();
+  log.info('IPC: add-api-indicator', { id });
+  if (!/^[A-Za-z0-9._-]+$/.test(id)) return { success: false, error: 'invalid indicator code' };
+  try {
+    return { success: true, indicator: await fetchApiIndicator(id, opts) };
+  } catch (err) {
+    return ipcError(err, 'warn', 'add-api-indicator failed', { id });
+  }
+});
+
+ipcMain.handle('refresh-api-indicators', async () => refreshApiIndicators(true));
+
+ipcMain.handle('remove-api-indicator', async (event, id) => {
+  const settings = loadApiSettings();
+  if (!settings.indicators.some(i => i.id === id)) return false;
+  saveApiSettings({ ...settings, indicators: settings.indicators.filter(i => i.id !== id) });
+  try { fs.unlinkSync(getApiDataFile(id)); } catch (e) { /* already gone */ }
+  apiSeriesCache.delete(id);
+  apiIndicatorsChanged();
+  return true;
+});
+
+const withApiIndicators = (data) => {
+  const list = loadApiSettings().indicators;
+  if (!data || !list.length) return data;
+  const key = ECONOMY_ALIASES[data.country] || data.country;
+  const indicators = { ...data.indicators };
+  for (const entry of list) {
+    const records = loadApiSeries(entry.id)[key];
+    if (!records) continue;
+    indicators[entry.id] = { indicator_name: entry.name, data: records, source: 'api', packVersion: null, baseUrl: entry.baseUrl };
+  }
+  return { ...data, indicators };
+};
+
+const applyApiIndicators = (store) => {
+  const length = store.years.length;
+  const yearIndex = new Map(store.years.map((y, i) => [y, i]));
+  for (const entry of loadApiSettings().indicators) {
+    const byCountry = loadApiSeries(entry.id);
+    const values = new Float64Array(store.countries.length * length).fill(NaN);
+    store.countries.forEach((c, ci) => {
+      for (const r of byCountry[ECONOMY_ALIASES[c.key] || c.key] || []) {
+        const yi = yearIndex.get(Number(r.date));
+        if (yi !== undefined && typeof r.value === 'number') values[ci * length + yi] = r.value;
+      }
+    });
+    store.indicators[entry.id] = { name: entry.name, values, api: true };
+  }
+  return store;
+};
+
+registerIndicatorOverlay({ id: 'api', order: 10, country: withApiIndicators, store: applyApiIndicators });
+
+// ------------------------
+// Indicator catalog
+// ------------------------
+// Topic, definition, unit type and source note per indicator id. The built-in table covers the upstream
+// pack; a pack may ship indicator_catalog.json ({ indicators: { id: { topic, definition, ... } } }) whose
+// entries override it, and API, user and derived indicators describe themselves.
+const CATALOG_FILE = 'indicator_catalog.json';
+
+const CATALOG_TOPICS = [
+  { id: 'economy', label: 'Economy' },
+  { id: 'trade', label: 'Trade' },
+  { id: 'finance', label: 'Finance & public sector' },
+  { id: 'labour', label: 'Labour' },
+  { id: 'population', label: 'Population' },
+  { id: 'health', label: 'Health' },
+  { id: 'education', label: 'Education & science' },
+  { id: 'energy', label: 'Energy' },
+  { id: 'environment', label: 'Environment' },
+  { id: 'custom', label: 'My indicators' },
+];
+
+// currency: money amounts; percent: shares and rates in %; growth: annual % change; rate: per N people;
+// count: absolute numbers; index: unitless index; quantity: physical units
+const UNIT_TYPES = ['currency', 'percent', 'growth', 'rate', 'count', 'index', 'quantity'];
+
+const SRC_NATIONAL_ACCOUNTS = 'World Bank national accounts data, and OECD National Accounts data files.';
+const SRC_BOP = 'International Monetary Fund, Balance of Payments Statistics Yearbook and data files.';
+const SRC_GFS = 'International Monetary Fund, Government Finance Statistics Yearbook and data files.';
+const SRC_POPULATION = 'United Nations Population Division, World Population Prospects; national statistical offices.';
+const SRC_ILO = 'International Labour Organization, ILOSTAT database (modeled ILO estimates).';
+const SRC_UIS = 'UNESCO Institute for Statistics (UIS).';
+const SRC_WHO = 'World Health Organization, Global Health Observatory and Global Health Expenditure database.';
+const SRC_JMP = 'WHO/UNICEF Joint Monitoring Programme (JMP) for Water Supply, Sanitation and Hygiene.';
+const SRC_ENERGY = 'IEA Energy Statistics; World Bank, Sustainable Energy for All (SE4ALL) database.';
+const SRC_FAO = 'Food and Agriculture Organization of the United Nations, electronic files and web site.';
+const SRC_POVERTY = 'World Bank, Poverty and Inequality Platform.';
+const SRC_IDS = 'World Bank, International Debt Statistics.';
+const SRC_WTO = 'World Trade Organization and World Bank staff estimates.';
+
+const cat = (topic, unitType, unit, definition, source) => ({ topic, unitType, unit, definition, source });
+
+const INDICATOR_CATALOG = {
+  'NY.GDP.MKTP.CD': cat('economy', 'currency', 'current US$', 'Gross domestic product: the sum of gross value added by all resident producers plus product taxes minus subsidies, converted at official exchange rates.', SRC_NATIONAL_ACCOUNTS),
+  'NY.GDP.MKTP.KD': cat('economy', 'currency', 'constant 2015 US$', 'GDP in constant 2015 prices, removing the effect of inflation so that changes reflect real output.', SRC_NATIONAL_ACCOUNTS),
+  'NY.GDP.PCAP.CD': cat('economy', 'currency', 'current US$', 'GDP divided by midyear population.', SRC_NATIONAL_ACCOUNTS),
+  'NY.GDP.PCAP.KD': cat('economy', 'currency', 'constant 2015 US$', 'Real GDP divided by midyear population.', SRC_NATIONAL_ACCOUNTS),
+  'NY.GDP.PCAP.PP.CD': cat('economy', 'currency', 'current international $', 'GDP per capita converted to international dollars using purchasing power parity rates.', 'World Bank, International Comparison Program database.'),
+  'NY.GDP.PCAP.PP.KD': cat('economy', 'currency', 'constant 2017 international $', 'GDP per capita at purchasing power parity in constant 2017 international dollars.', 'World Bank, International Comparison Program database.'),
+  'NE.GDI.TOTL.ZS': cat('economy', 'percent', '% of GDP', 'Outlays on additions to fixed assets plus net changes in inventories, as a share of GDP.', SRC_NATIONAL_ACCOUNTS),
+  'NV.AGR.TOTL.ZS': cat('economy', 'percent', '% of GDP', 'Net output of agriculture, forestry and fishing after subtracting intermediate inputs, as a share of GDP.', SRC_NATIONAL_ACCOUNTS),
+  'NV.IND.TOTL.ZS': cat('economy', 'percent', '% of GDP', 'Value added in mining, manufacturing, construction, electricity, water and gas, as a share of GDP.', SRC_NATIONAL_ACCOUNTS),
+  'NV.SRV.TOTL.ZS': cat('economy', 'percent', '% of GDP', 'Value added in wholesale and retail trade, transport, government, financial, professional and personal services, as a share of GDP.', SRC_NATIONAL_ACCOUNTS),
+  'SI.POV.DDAY': cat('economy', 'percent', '% of population', 'Share of the population living on less than $2.15 a day at 2017 international prices.', SRC_POVERTY),
+  'SI.POV.GINI': cat('economy', 'index', '0-100', 'Extent to which the distribution of income or consumption among households deviates from a perfectly equal distribution (0 = perfect equality, 100 = perfect inequality).', SRC_POVERTY),
+  'IT.NET.USER.ZS': cat('economy', 'percent', '% of population', 'Individuals who have used the Internet from any location in the last three months.', 'International Telecommunication Union (ITU) World Telecommunication/ICT Indicators Database.'),
+  'IS.ROD.PAVE.ZS': cat('economy', 'percent', '% of total roads', 'Roads surfaced with crushed stone and hydrocarbon binder, concrete or cobblestones, as a share of all roads by length.', 'International Road Federation, World Road Statistics.'),
+  'IS.AIR.DPRT': cat('economy', 'count', 'passengers', 'Domestic and international aircraft passengers of air carriers registered in the country.', 'International Civil Aviation Organization, Civil Aviation Statistics of the World.'),
+  'IC.FRM.BNKS.ZS': cat('finance', 'percent', '% of firms', 'Share of firms using banks to finance purchases of fixed assets.', 'World Bank, Enterprise Surveys.'),
+
+  'NE.EXP.GNFS.CD': cat('trade', 'currency', 'current US$', 'Value of all goods and market services provided to the rest of the world.', SRC_NATIONAL_ACCOUNTS),
+  'NE.IMP.GNFS.CD': cat('trade', 'currency', 'current US$', 'Value of all goods and market services received from the rest of the world.', SRC_NATIONAL_ACCOUNTS),
+  'NE.TRD.GNFS.ZS': cat('trade', 'percent', '% of GDP', 'Sum of exports and imports of goods and services as a share of GDP.', SRC_NATIONAL_ACCOUNTS),
+  'BN.GSR.GNFS.CD': cat('trade', 'currency', 'current US$', 'Exports minus imports of goods and services, on a balance of payments basis.', SRC_BOP),
+  'BN.CAB.XOKA.GD.ZS': cat('trade', 'percent', '% of GDP', 'Net exports of goods and services, net primary income and net secondary income, as a share of GDP.', SRC_BOP),
+  'BX.KLT.DINV.CD.WD': cat('trade', 'currency', 'current US$', 'Net inflows of investment to acquire a lasting management interest (10% or more of voting stock) in an enterprise.', SRC_BOP),
+  'BX.KLT.DINV.WD.GD.ZS': cat('trade', 'percent', '% of GDP', 'Foreign direct investment net inflows as a share of GDP.', SRC_BOP),
+  'BX.TRF.PWKR.CD.DT': cat('trade', 'currency', 'current US$', 'Personal transfers and compensation of employees received from non-resident households and employers.', SRC_BOP),
+  'TM.VAL.MRCH.CD.WT': cat('trade', 'percent', '% of GDP', 'Sum of merchandise exports and imports as a share of GDP.', SRC_WTO),
+  'TM.VAL.MRCH.XD.WD': cat('trade', 'currency', 'current US$', 'Free on board value of goods provided to the rest of the world.', SRC_WTO),
+  'TM.VAL.MRCH.R2.ZS': cat('trade', 'percent', '% of merchandise exports', 'Manufactured goods (SITC sections 5-8 excluding 68) as a share of merchandise exports.', 'United Nations, Comtrade database.'),
+
+  'GC.TAX.TOTL.GD.ZS': cat('finance', 'percent', '% of GDP', 'Compulsory transfers to the central government for public purposes, as a share of GDP.', SRC_GFS),
+  'GC.REV.XGRT.GD.ZS': cat('finance', 'percent', '% of GDP', 'Cash receipts from taxes, social contributions and other revenues excluding grants, as a share of GDP.', SRC_GFS),
+  'GC.XPN.TOTL.GD.ZS': cat('finance', 'percent', '% of GDP', 'Cash payments for operating activities of the government in providing goods and services, as a share of GDP.', SRC_GFS),
+  'DT.DOD.DECT.CD': cat('finance', 'currency', 'current US$', 'Debt owed to non-residents repayable in currency, goods or services: public, publicly guaranteed and private debt, IMF credit and short-term debt.', SRC_IDS),
+  'DT.TDS.DECT.EX.ZS': cat('finance', 'percent', '% of exports and primary income', 'Principal and interest paid on long-term debt, IMF repurchases and short-term interest, relative to exports of goods, services and primary income.', SRC_IDS),
+  'CM.MKT.TRAD.CD': cat('finance', 'currency', 'current US$', 'Total number of shares traded, domestic and foreign, multiplied by their matching prices.', 'World Federation of Exchanges database.'),
+  'CM.MKT.LDOM.NO': cat('finance', 'count', 'companies', 'Domestically incorporated companies listed on the country\'s stock exchanges at the end of the year.', 'World Federation of Exchanges database.'),
+  'MS.MIL.XPND.GD.ZS': cat('finance', 'percent', '% of GDP', 'All current and capital expenditure on the armed forces, as a share of GDP.', 'Stockholm International Peace Research Institute (SIPRI), Yearbook.'),
+  'GB.XPD.RSDV.GD.ZS': cat('education', 'percent', '% of GDP', 'Gross domestic expenditure on basic research, applied research and experimental development, as a share of GDP.', SRC_UIS),
+
+  'SL.TLF.CACT.ZS': cat('labour', 'percent', '% of population ages 15+', 'Share of the population ages 15 and older that is economically active.', SRC_ILO),
+  'SL.TLF.CACT.FE.ZS': cat('labour', 'percent', '% of female population ages 15+', 'Share of the female population ages 15 and older that is economically active.', SRC_ILO),
+  'SL.TLF.CACT.MA.ZS': cat('labour', 'percent', '% of male population ages 15+', 'Share of the male population ages 15 and older that is economically active.', SRC_ILO),
+  'SL.UEM.TOTL.ZS': cat('labour', 'percent', '% of labour force', 'Share of the labour force without work but available for and seeking employment.', SRC_ILO),
+  'SL.UEM.1524.ZS': cat('labour', 'percent', '% of labour force ages 15-24', 'Share of the labour force ages 15-24 without work but available for and seeking employment.', SRC_ILO),
+
+  'SP.POP.TOTL': cat('population', 'count', 'people', 'All residents regardless of legal status or citizenship, as midyear estimates.', SRC_POPULATION),
+  'SP.POP.GROW': cat('population', 'growth', 'annual %', 'Exponential rate of growth of midyear population from the previous year.', SRC_POPULATION),
+  'SP.DYN.CBRT.IN': cat('population', 'rate', 'per 1,000 people', 'Number of live births occurring during the year, per 1,000 midyear population.', SRC_POPULATION),
+  'SP.DYN.CDRT.IN': cat('population', 'rate', 'per 1,000 people', 'Number of deaths occurring during the year, per 1,000 midyear population.', SRC_POPULATION),
+  'SP.URB.TOTL': cat('population', 'count', 'people', 'People living in urban areas as defined by national statistical offices.', SRC_POPULATION),
+  'SP.URB.TOTL.IN.ZS': cat('population', 'percent', '% of total population', 'Share of the population living in urban areas.', SRC_POPULATION),
+  'SP.RUR.TOTL': cat('population', 'count', 'people', 'People living in rural areas: total population minus urban population.', SRC_POPULATION),
+  'SP.RUR.TOTL.ZS': cat('population', 'percent', '% of total population', 'Share of the population living in rural areas.', SRC_POPULATION),
+  'EN.POP.DNST': cat('population', 'quantity', 'people per sq. km', 'Midyear population divided by land area in square kilometres.', `${SRC_POPULATION} Land area from FAO.`),
+
+  'SP.DYN.LE00.IN': cat('health', 'quantity', 'years', 'Years a newborn would live if prevailing patterns of mortality at birth stayed the same throughout its life.', SRC_POPULATION),
+  'SH.DYN.MORT': cat('health', 'rate', 'per 1,000 live births', 'Probability per 1,000 that a newborn dies before reaching age five, at current age-specific mortality rates.', 'UN Inter-agency Group for Child Mortality Estimation (IGME).'),
+  'SH.STA.MMRT': cat('health', 'rate', 'per 100,000 live births', 'Women who die from pregnancy-related causes while pregnant or within 42 days of pregnancy termination, per 100,000 live births (modeled).', 'WHO, UNICEF, UNFPA, World Bank Group and UN Population Division (MMEIG).'),
+  'SH.XPD.CHEX.GD.ZS': cat('health', 'percent', '% of GDP', 'Healthcare goods and services consumed during the year, excluding capital spending, as a share of GDP.', SRC_WHO),
+  'SH.XPD.CHEX.PC.CD': cat('health', 'currency', 'current US$', 'Current health expenditure per person.', SRC_WHO),
+  'SH.XPD.GHED.CH.ZS': cat('health', 'percent', '% of current health expenditure', 'Public spending on health from domestic sources as a share of current health expenditure.', SRC_WHO),
+  'SH.MED.BEDS.ZS': cat('health', 'rate', 'per 1,000 people', 'Inpatient beds in public, private, general and specialized hospitals and rehabilitation centres.', SRC_WHO),
+  'SH.IMM.MEAS': cat('health', 'percent', '% of children ages 12-23 months', 'Children who received the measles vaccination before 12 months or at any time before the survey.', 'WHO and UNICEF estimates of national immunization coverage.'),
+  'SH.TBS.INCD': cat('health', 'rate', 'per 100,000 people', 'Estimated number of new and relapse tuberculosis cases arising in a year.', 'World Health Organization, Global Tuberculosis Report.'),
+  'SH.ANM.CHLD.ZS': cat('health', 'percent', '% of children under 5', 'Share of children ages 6-59 months with a haemoglobin level below 110 grams per litre.', SRC_WHO),
+  'SN.ITK.DEFC.ZS': cat('health', 'percent', '% of population', 'Share of the population whose habitual food consumption is insufficient for a normal, active and healthy life.', SRC_FAO),
+  'SH.H2O.BASW.ZS': cat('health', 'percent', '% of population', 'People using an improved drinking water source with a collection time of no more than 30 minutes round trip.', SRC_JMP),
+  'SH.STA.BASS.ZS': cat('health', 'percent', '% of rural population', 'Rural population using improved sanitation facilities that are not shared with other households.', SRC_JMP),
+  'SH.STA.SMSS.ZS': cat('health', 'percent', '% of population', 'People using improved, unshared sanitation facilities where excreta are safely disposed of or treated.', SRC_JMP),
+  'VC.IHR.PSRC.P5': cat('health', 'rate', 'per 100,000 people', 'Unlawful deaths purposefully inflicted on a person by another person.', 'UN Office on Drugs and Crime, International Homicide Statistics database.'),
+
+  'SE.PRM.ENRR': cat('education', 'percent', '% gross', 'Total primary enrolment regardless of age, as a share of the population of official primary school age.', SRC_UIS),
+  'SE.SEC.ENRR': cat('education', 'percent', '% gross', 'Total secondary enrolment regardless of age, as a share of the population of official secondary school age.', SRC_UIS),
+  'SE.TER.ENRR': cat('education', 'percent', '% gross', 'Total tertiary enrolment regardless of age, as a share of the five-year age group following secondary school.', SRC_UIS),
+  'SE.ADT.LITR.ZS': cat('education', 'percent', '% of people ages 15+', 'Share of people ages 15 and above who can read and write a short simple statement about their everyday life.', SRC_UIS),
+  'SE.XPD.TOTL.GD.ZS': cat('education', 'percent', '% of GDP', 'General government expenditure on education (current, capital and transfers) as a share of GDP.', SRC_UIS),
+  'IP.JRN.ARTC.SC': cat('education', 'count', 'articles', 'Scientific and engineering articles published in physics, biology, chemistry, mathematics, medicine, engineering and related fields.', 'National Science Foundation, Science and Engineering Indicators.'),
+
+  'EG.ELC.ACCS.ZS': cat('energy', 'percent', '% of population', 'Share of the population with access to electricity.', SRC_ENERGY),
+  'EG.USE.ELEC.KH.PC': cat('energy', 'quantity', 'kWh per capita', 'Production of power plants and combined heat and power plants less transmission, distribution and transformation losses and own use, per person.', SRC_ENERGY),
+  'EG.FEC.RNEW.ZS': cat('energy', 'percent', '% of final energy consumption', 'Share of renewable energy in total final energy consumption.', SRC_ENERGY),
+  'EG.ELC.RNEW.ZS': cat('energy', 'percent', '% of total', 'Electricity produced from renewable sources (hydro, geothermal, solar, wind, tide, wave, biomass) as a share of total production.', SRC_ENERGY),
+  'EG.ELC.NUCL.ZS': cat('energy', 'percent', '% of total', 'Electricity produced by nuclear power plants as a share of total production.', SRC_ENERGY),
+  'EG.ELC.HYRO.ZS': cat('energy', 'percent', '% of total', 'Electricity produced by hydroelectric power plants as a share of total production.', SRC_ENERGY),
+  'EG.ELC.COAL.ZS': cat('energy', 'percent', '% of total', 'Electricity produced from coal, including primary and derived coal fuels, as a share of total production.', SRC_ENERGY),
+
+  'AG.LND.FRST.ZS': cat('environment', 'percent', '% of land area', 'Land under natural or planted stands of trees of at least 5 metres, excluding agricultural production systems and urban parks.', SRC_FAO),
+  'AG.LND.AGRI.ZS': cat('environment', 'percent', '% of land area', 'Arable land, land under permanent crops and permanent pastures, as a share of land area.', SRC_FAO),
+  'ER.H2O.FWTL.K3': cat('environment', 'quantity', 'billion cubic metres', 'Total withdrawals of freshwater for agriculture, industry and municipal use, excluding evaporation losses from storage basins.', 'Food and Agriculture Organization, AQUASTAT data.'),
+  'ER.FSH.CAPT.MT': cat('environment', 'quantity', 'metric tons', 'Volume of aquatic species caught for commercial, industrial, recreational and subsistence purposes.', SRC_FAO),
+};
+
+// fallback for ids without a catalog entry, from the World Bank code prefix
+const TOPIC_PREFIXES = [
+  [/^(NY|NE|NV|SI|IT|IS|IC|PA|FP)\./, 'economy'],
+  [/^(TM|TX|TG|BX|BM|BN)\./, 'trade'],
+  [/^(GC|DT|CM|FS|FM|FR|FD|MS|FB)\./, 'finance'],
+  [/^SL\./, 'labour'],
+  [/^(SP|EN\.POP)\./, 'population'],
+  [/^(SH|SN|VC)\./, 'health'],
+  [/^(SE|GB|IP)\./, 'education'],
+  [/^EG\./, 'energy'],
+  [/^(EN|AG|ER)\./, 'environment'],
+];
+
+const inferTopic = (id) => {
+  const hit = TOPIC_PREFIXES.find(([re]) => re.test(id));
+  return hit ? hit[1] : 'economy';
+};
+
+const inferUnitType = (name) => {
+  if (/annual %/i.test(name)) return 'growth';
+  if (/%/.test(name)) return 'percent';
+  if (/\bper [\d,]+\b/i.test(name)) return 'rate';
+  if (/US\$|international \$|LCU/i.test(name)) return 'currency';
+  if (/index/i.test(name)) return 'index';
+  return 'count';
+};
+
+const CATALOG_FIELDS = ['topic', 'unitType', 'unit', 'definition', 'source'];
+
+// returns an error message, or null when the file is { indicators: { id: {...catalog fields} } }
+const validateCatalogFile = (buf) => {
+  let parsed;
+  try { parsed = JSON.parse(buf.toString('utf8')); } catch (e) { return `invalid JSON: ${e.message}`; }
+  if (!parsed || typeof parsed.indicators !== 'object' || Array.isArray(parsed.indicators)) return 'catalog has no indicators object';
+  const bad = Object.entries(parsed.indicators).find(([, e]) => !e || typeof e !== 'object' || (e.topic && !CATALOG_TOPICS.some(t => t.id === e.topic)));
+  return bad ? `catalog entry ${bad[0]} is invalid` : null;
+};
+
+// catalog built for one store and overlay revision; a new pack or API series gives a new store object
+let indicatorCatalogCache = null; // { store, revision, entries }
+
+// catalog entries for everything in the store, in topic then name order
+const buildIndicatorCatalog = async () => {
+  const store = await getIndicatorStore();
+  const cached = indicatorCatalogCache;
+  if (cached && cached.store === store && cached.revision === storeOverlayRevision) return cached.entries;
+  const revision = storeOverlayRevision;
+  const packFile = readJsonFile(path.join(getIndicatorsDir(), CATALOG_FILE));
+  const packEntries = (packFile && packFile.indicators) || {};
+  const apiEntries = new Map(loadApiSettings().indicators.map(e => [e.id, e]));
+  const derivedDefs = new Map(loadDerivedIndicators().map(d => [d.id, d]));
+  const userEntries = new Map(loadUserIndicators().map(u => [u.id, u]));
+  const topicOrder = new Map(CATALOG_TOPICS.map((t, i) => [t.id, i]));
+
+  const entries = Object.entries(store.indicators).map(([id, ind]) => {
+    let origin = 'pack';
+    let entry = { ...(INDICATOR_CATALOG[id] || {}) };
+    if (ind.derived) {
+      const def = derivedDefs.get(id) || {};
+      origin = 'derived';
+      entry = { topic: 'custom', unitType: def.unit ? 'quantity' : inferUnitType(ind.name), unit: def.unit || '', definition: def.formula ? `Derived: ${def.formula}` : '', source: 'Calculated from other indicators' };
+    } else if (ind.user) {
+      const u = userEntries.get(id) || {};
+      origin = 'user';
+      entry = { topic: 'custom', unitType: 'quantity', unit: u.unit || '', definition: '', source: u.sourceFile ? `Imported from ${u.sourceFile}` : 'Imported' };
+    } else if (ind.api) {
+      const a = apiEntries.get(id) || {};
+      origin = 'api';
+      entry = { ...entry, ...(entry.definition ? {} : { definition: a.sourceNote || '', source: a.sourceOrganization || a.baseUrl || '' }) };
+    }
+    if (origin === 'pack' || origin === 'api') Object.assign(entry, packEntries[id] || {});
+    return {
+      id,
+      name: ind.name,
+      topic: entry.topic || inferTopic(id),
+      unitType: UNIT_TYPES.includes(entry.unitType) ? entry.unitType : inferUnitType(ind.name),
+      unit: entry.unit || '',
+      definition: entry.definition || '',
+      source: entry.source || '',
+      origin,
+    };
+  });
+  entries.sort((a, b) => (topicOrder.get(a.topic) ?? 99) - (topicOrder.get(b.topic) ?? 99) || a.name.localeCompare(b.name));
+  indicatorCatalogCache = { store, revision, entries };
+  return entries;
+};
+
+ipcMain.handle('get-indicator-catalog', async () => {
+  try {
+    const indicators = await buildIndicatorCatalog();
+    const used = new Set(indicators.map(e => e.topic));
+    return { topics: CATALOG_TOPICS.filter(t => used.has(t.id)), unitTypes: UNIT_TYPES, indicators };
+  } catch (err) {
+    log.warn('get-indicator-catalog failed', { err: err && err.message });
+    return { topics: [], unitTypes: UNIT_TYPES, indicators: [] };
+  }
+});
+
+ipcMain.handle('get-indicator-info', async (event, id) => {
+  try {
+    const entries = await buildIndicatorCatalog();
+    return entries.find(e => e.id === id) || null;
+  } catch (err) {
+    log.warn('get-indicator-info failed', { id, err: err && err.message });
+    return null;
+  }
+});
+
+/**
+ * Search by id, name or definition; every word of the query must match somewhere.
+ * Results keep catalog order within each relevance band: id match, name match, definition only.
+ */
+ipcMain.handle('search-indicator-catalog', async (event, query) => {
+  let entries;
+  try {
+    entries = await buildIndicatorCatalog();
+  } catch (err) {
+    log.warn('search-indicator-catalog failed', { err: err && err.message });
+    return [];
+  }
+  const words = String(query || '').toLowerCase().split(/\s+/).filter(Boolean);
+  if (!words.length) return entries;
+  const scored = [];
+  for (const e of entries) {
+    const id = e.id.toLowerCase();
+    const name = e.name.toLowerCase();
+    const text = `${id} ${name} ${e.definition.toLowerCase()} ${e.unit.toLowerCase()}`;
+    if (!words.every(w => text.includes(w))) continue;
+    const band = words.every(w => id.includes(w)) ? 0 : words.every(w => name.includes(w) || id.includes(w)) ? 1 : 2;
+    scored.push({ e, band });
+  }
+  return scored.sort((a, b) => a.band - b.band).map(s => s.e);
+});
+
+// ------------------------
+// Data coverage and quality
+// ------------------------
+// Country x indicator heatmap from the cross-country store: how many years have a value and which is the
+// latest. Cells are flattened row-major (country, then indicator) to keep the payload small.
+
+/**
+ * opts: { indicators: [ids], countries: [keys], group: aggregateKey, excludeAggregates (default true), since: year }
+ */
+const buildCoverage = (store, opts) => {
+  const excludeAggregates = !(opts && opts.excludeAggregates === false);
+  const members = opts && opts.group ? new Set(getAggregateMembers(opts.group) || []) : null;
+  const wanted = opts && Array.isArray(opts.countries) && opts.countries.length ? new Set(opts.countries) : null;
+  const since = opts && opts.since ? Number(opts.since) : -Infinity;
+  const ids = (opts && Array.isArray(opts.indicators) && opts.indicators.length ? opts.indicators : Object.keys(store.indicators))
+    .filter(id => store.indicators[id]);
+  const rows = store.countries
+    .map((c, ci) => ({ c, ci }))
+    .filter(({ c }) => (!wanted || wanted.has(c.key)) && (!members || members.has(c.key)) && (!excludeAggregates || !isAggregateCountry(c.key)));
+  const yearIdx = store.years.map((y, yi) => ({ y, yi })).filter(({ y }) => y >= since);
+
+  const available = new Array(rows.length * ids.length).fill(0);
+  const latest = new Array(rows.length * ids.length).fill(null);
+  rows.forEach(({ ci }, r) => {
+    ids.forEach((id, i) => {
+      const ind = store.indicators[id];
+      let n = 0;
+      let last = null;
+      for (const { y, yi } of yearIdx) {
+        if (storeValue(store, ind, ci, yi) === null) continue;
+        n++;
+        last = y;
       }
+      available[r * ids.length + i] = n;
+      latest[r * ids.length + i] = last;
     });
+  });
 
-    const remoteVer = await fetchText(REMOTE_VERSION_URL).catch(err => { 
-      log.error('checkAndUpdateIndicators: fetch remote version failed', { err: err && err.message }); 
-      return null; 
-    });
-    
-    log.info('checkAndUpdateIndicators: Remote version fetched', { remoteVer });
-    if (!remoteVer) {
-      log.warn('checkAndUpdateIndicators: No remote version retrieved, aborting');
-      return;
+  const span = yearIdx.length;
+  const share = (cells) => (cells.length && span ? cells.reduce((a, b) => a + b, 0) / (cells.length * span) : 0);
+  return {
+    years: span ? [yearIdx[0].y, yearIdx[span - 1].y] : [],
+    span,
+    countries: rows.map(({ c }, r) => ({ key: c.key, name: c.name, iso3: c.iso3, coverage: share(available.slice(r * ids.length, (r + 1) * ids.length)) })),
+    indicators: ids.map((id, i) => ({ id, name: store.indicators[id].name, coverage: share(rows.map((row, r) => available[r * ids.length + i])) })),
+    available,
+    latest,
+  };
+};
+
+ipcMain.handle('get-coverage', async (event, opts) => {
+  try {
+    return buildCoverage(await getIndicatorStore(), opts);
+  } catch (err) {
+    log.warn('get-coverage failed', { err: err && err.message });
+    return null;
+  }
+});
+
+// one series in detail: gaps, latest year and the obs_status / decimal fields of its records
+ipcMain.handle('get-series-quality', async (event, country, id) => {
+  try {
+    const data = await getCountryDataCached(country);
+    const series = data && data.indicators && data.indicators[id];
+    if (!series) return null;
+    const points = observedPoints(series.data);
+    const values = points.filter(p => p.value !== null);
+    const first = values.length ? parseInt(values[0].date, 10) : null;
+    const last = values.length ? parseInt(values[values.length - 1].date, 10) : null;
+    const gaps = [];
+    for (const p of points) {
+      const year = parseInt(p.date, 10);
+      if (p.value !== null || year < first || year > last) continue;
+      const open = gaps[gaps.length - 1];
+      if (open && open.to === year - 1) open.to = year;
+      else gaps.push({ from: year, to: year });
     }
-    
-    const installedVer = await readInstalledIndicatorVersion();
-    log.info('checkAndUpdateIndicators: Comparing versions', { remoteVer, installedVer });
-    
-    if (installedVer === remoteVer) {
-      log.info('checkAndUpdateIndicators: Versions match, no update needed');
-      return;
+    const obsStatus = {};
+    const decimals = new Set();
+    for (const r of series.data) {
+      if (!r || !hasValue(r.value)) continue;
+      if (r.obs_status) obsStatus[r.obs_status] = (obsStatus[r.obs_status] || 0) + 1;
+      if (r.decimal !== undefined && r.decimal !== null) decimals.add(r.decimal);
+    }
+    return {
+      country: data.country,
+      id,
+      name: series.indicator_name,
+      source: series.source,
+      slots: points.length,
+      observed: values.length,
+      firstYear: first,
+      latestYear: last,
+      missingInside: gaps.reduce((n, g) => n + g.to - g.from + 1, 0),
+      gaps,
+      obsStatus,
+      decimals: Array.from(decimals).sort((a, b) => a - b),
+    };
+  } catch (err) {
+    log.warn('get-series-quality failed', { country, id, err: err && err.message });
+    return null;
+  }
+});
+
+// ------------------------
+// Annotations and research notes
+// ------------------------
+// Annotations mark a year on a country's series ("2020: COVID shock"); indicator null applies the mark to
+// every indicator of that country. Notes are free text per country. Both live in userData and are
+// included in workbook, data and PDF exports.
+const ANNOTATIONS_FILE = 'annotations.json';
+const ANNOTATION_LABEL_MAX = 120;
+
+const getAnnotationsFile = () => path.join(app.getPath('userData'), ANNOTATIONS_FILE);
+
+let annotationsData = null;
+
+const loadAnnotations = () => {
+  if (annotationsData) return annotationsData;
+  const raw = readJsonFile(getAnnotationsFile());
+  annotationsData = {
+    annotations: raw && Array.isArray(raw.annotations) ? raw.annotations : [],
+    notes: raw && raw.notes && typeof raw.notes === 'object' ? raw.notes : {},
+  };
+  return annotationsData;
+};
+
+const saveAnnotations = (data) => {
+  annotationsData = data;
+  ensureDir(path.dirname(getAnnotationsFile()));
+  fs.writeFileSync(getAnnotationsFile(), JSON.stringify({ version: 1, ...data }, null, 2));
+  sendToRenderer('annotations-changed', {});
+};
+
+// annotations for any of `countries` (all when null) that apply to `indicator` (all when null)
+const annotationsFor = (countries, indicator) => {
+  const keys = countries ? new Set(countries.map(toCountryKey)) : null;
+  return loadAnnotations().annotations
+    .filter(a => (!keys || keys.has(a.country)) && (!indicator || !a.indicator || a.indicator === indicator))
+    .sort((a, b) => a.country.localeCompare(b.country) || a.year - b.year);
+};
+
+// "label; label" per country / indicator / year, for the annotation column of tidy exports
+const annotationLookup = (countries) => {
+  const byKey = new Map();
+  for (const a of annotationsFor(countries, null)) {
+    const k = `${a.country}|${a.indicator || '*'}|${a.year}`;
+    byKey.set(k, byKey.has(k) ? `${byKey.get(k)}; ${a.label}` : a.label);
+  }
+  return (country, id, year) => [byKey.get(`${country}|*|${year}`), byKey.get(`${country}|${id}|${year}`)].filter(Boolean).join('; ');
+};
+
+ipcMain.handle('list-annotations', async (event, filter) => {
+  const countries = filter && (filter.countries || (filter.country ? [filter.country] : null));
+  return annotationsFor(countries || null, (filter && filter.indicator) || null);
+});
+
+// creates an annotation, or updates the one with the same id
+ipcMain.handle('save-annotation', async (event, input) => {
+  try {
+    const country = toCountryKey(input && input.country);
+    const year = parseInt(input && input.year, 10);
+    const label = String((input && input.label) || '').trim().slice(0, ANNOTATION_LABEL_MAX);
+    if (!country) return { success: false, error: 'missing country' };
+    if (!Number.isFinite(year)) return { success: false, error: 'missing year' };
+    if (!label) return { success: false, error: 'missing label' };
+    const data = loadAnnotations();
+    const now = new Date().toISOString();
+    const existing = input.id ? data.annotations.find(a => a.id === input.id) : null;
+    const annotation = {
+      id: existing ? existing.id : `ann-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+      country,
+      indicator: input.indicator ? String(input.indicator) : null,
+      year,
+      label,
+      note: input.note ? String(input.note) : '',
+      createdAt: existing ? existing.createdAt : now,
+      updatedAt: now,
+    };
+    saveAnnotations({ ...data, annotations: data.annotations.filter(a => a.id !== annotation.id).concat(annotation) });
+    return { success: true, annotation };
+  } catch (err) {
+    return ipcError(err, 'warn', 'save-annotation failed');
+  }
+});
+
+ipcMain.handle('delete-annotation', async (event, id) => {
+  const data = loadAnnotations();
+  if (!data.annotations.some(a => a.id === id)) return false;
+  saveAnnotations({ ...data, annotations: data.annotations.filter(a => a.id !== id) });
+  return true;
+});
+
+ipcMain.handle('get-country-notes', async (event, country) => loadAnnotations().notes[toCountryKey(country)] || null);
+
+// empty text removes the country's notes
+ipcMain.handle('save-country-notes', async (event, country, text) => {
+  try {
+    const key = toCountryKey(country);
+    if (!key) return { success: false, error: 'missing country' };
+    const data = loadAnnotations();
+    const notes = { ...data.notes };
+    const body = String(text || '');
+    if (body.trim()) notes[key] = { text: body, updatedAt: new Date().toISOString() };
+    else delete notes[key];
+    saveAnnotations({ ...data, notes });
+    return { success: true, notes: notes[key] || null };
+  } catch (err) {
+    return ipcError(err, 'warn', 'save-country-notes failed', { country });
+  }
+});
+
+// annotation rows and country notes for a workbook's Annotations sheet
+const annotationsExport = (countries, ids) => {
+  const wanted = ids ? new Set(ids) : null;
+  const keys = countries.map(toCountryKey);
+  return {
+    annotations: annotationsFor(keys, null).filter(a => !a.indicator || !wanted || wanted.has(a.indicator)),
+    notes: keys.map(key => ({ country: key, ...loadAnnotations().notes[key] })).filter(n => n.text),
+  };
+};
+
+// ------------------------
+// Workspaces
+// ------------------------
+// A workspace bundles favourites, per-country indicator selections, compare sets and chart settings. All
+// of them live in userData/workspaces.json; exported files carry one workspace and its schemaVersion.
+// Workspaces are migrated step by step up to WORKSPACE_SCHEMA_VERSION when read or imported.
+const WORKSPACES_FILE = 'workspaces.json';
+const WORKSPACE_FILE_FORMAT = 'worlddata-workspace';
+const WORKSPACE_SCHEMA_VERSION = 1;
+const WORKSPACE_FILTERS = [{ name: 'WorldData workspace', extensions: ['json'] }];
+
+// renderer localStorage keys folded into a workspace by the 0 -> 1 migration
+const LEGACY_CHART_KEYS = ['chartType', 'indicatorsPerPage', 'defaultIndicatorCount'];
+
+const parseLegacyValue = (v) => {
+  if (typeof v !== 'string') return v;
+  try { return JSON.parse(v); } catch (e) { return v; }
+};
+
+// lastCountriesSelection is either the selected country name or { country, compare: { countries, indicators, mode } }
+const legacyCountriesSelection = (v) => (typeof v === 'string' ? { country: v } : plainObject(v));
+
+// WORKSPACE_MIGRATIONS[n] turns a schemaVersion n workspace into n + 1
+const WORKSPACE_MIGRATIONS = [
+  // 0 -> 1: flat localStorage snapshot { favourites, countryIndicators, lastCountriesSelection, ... }
+  (legacy) => {
+    const { id, name, ...keys } = legacy;
+    const values = Object.fromEntries(Object.entries(keys).map(([k, v]) => [k, parseLegacyValue(v)]));
+    const known = new Set(['favourites', 'countryIndicators', 'lastCountriesSelection', 'lastFavouritesSelection', 'schemaVersion', ...LEGACY_CHART_KEYS]);
+    const selection = legacyCountriesSelection(values.lastCountriesSelection);
+    const compare = plainObject(selection.compare);
+    return {
+      id,
+      name: name || 'Default',
+      favourites: values.favourites,
+      countryIndicators: values.countryIndicators,
+      compareSets: Array.isArray(compare.countries) ? [{ name: 'Last comparison', countries: compare.countries, indicators: compare.indicators, mode: compare.mode }] : [],
+      selections: { countries: [selection.country].filter(Boolean), favourites: [values.lastFavouritesSelection].filter(Boolean) },
+      chartSettings: Object.fromEntries(LEGACY_CHART_KEYS.filter(k => values[k] !== undefined).map(k => [k, values[k]])),
+      extra: Object.fromEntries(Object.entries(values).filter(([k]) => !known.has(k))),
+    };
+  },
+];
+
+const stringList = (v) => (Array.isArray(v) ? v.filter(x => typeof x === 'string') : []);
+const plainObject = (v) => (v && typeof v === 'object' && !Array.isArray(v) ? v : {});
+
+// current-schema workspace with every field present and of the right type
+const normalizeWorkspace = (ws) => {
+  const now = new Date().toISOString();
+  return {
+    schemaVersion: WORKSPACE_SCHEMA_VERSION,
+    id: String(ws.id || `ws-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`),
+    name: String(ws.name || 'Untitled').trim().slice(0, 80) || 'Untitled',
+    createdAt: ws.createdAt || now,
+    updatedAt: ws.updatedAt || now,
+    favourites: stringList(ws.favourites),
+    countryIndicators: Object.fromEntries(Object.entries(plainObject(ws.countryIndicators)).map(([k, v]) => [k, stringList(v)])),
+    compareSets: (Array.isArray(ws.compareSets) ? ws.compareSets : []).filter(c => c && typeof c === 'object').map(c => ({
+      name: String(c.name || 'Comparison'),
+      countries: stringList(c.countries),
+      indicators: stringList(c.indicators),
+      mode: COMPARE_MODES.includes(c.mode) ? c.mode : 'raw',
+    })),
+    selections: { countries: stringList(plainObject(ws.selections).countries), favourites: stringList(plainObject(ws.selections).favourites) },
+    chartSettings: plainObject(ws.chartSettings),
+    extra: plainObject(ws.extra),
+  };
+};
+
+const migrateWorkspace = (ws) => {
+  let version = Number.isInteger(ws && ws.schemaVersion) ? ws.schemaVersion : 0;
+  if (version > WORKSPACE_SCHEMA_VERSION) throw new Error(`workspace schema ${version} is newer than this app supports (${WORKSPACE_SCHEMA_VERSION})`);
+  let current = { ...ws };
+  while (version < WORKSPACE_SCHEMA_VERSION) {
+    current = { ...WORKSPACE_MIGRATIONS[version](current), schemaVersion: version + 1 };
+    version++;
+  }
+  return normalizeWorkspace(current);
+};
+
+const getWorkspacesFile = () => path.join(app.getPath('userData'), WORKSPACES_FILE);
+
+let workspacesData = null;
+
+const loadWorkspaces = () => {
+  if (workspacesData) return workspacesData;
+  const raw = readJsonFile(getWorkspacesFile());
+  const workspaces = [];
+  for (const ws of (raw && Array.isArray(raw.workspaces) ? raw.workspaces : [])) {
+    try { workspaces.push(migrateWorkspace(ws)); } catch (err) { log.warn('skipping unreadable workspace', { id: ws && ws.id, err: err.message }); }
+  }
+  if (!workspaces.length) workspaces.push(normalizeWorkspace({ name: 'Default' }));
+  const active = raw && workspaces.some(w => w.id === raw.active) ? raw.active : workspaces[0].id;
+  workspacesData = { active, workspaces };
+  return workspacesData;
+};
+
+const saveWorkspaces = (data) => {
+  workspacesData = data;
+  ensureDir(path.dirname(getWorkspacesFile()));
+  fs.writeFileSync(getWorkspacesFile(), JSON.stringify({ version: 1, ...data }, null, 2));
+};
+
+const workspaceSummary = (ws) => ({ id: ws.id, name: ws.name, updatedAt: ws.updatedAt, favourites: ws.favourites.length, compareSets: ws.compareSets.length });
+
+const workspaceChanged = (id) => sendToRenderer('workspace-changed', { id, active: loadWorkspaces().active });
+
+// a unique name for copies and imports ("Research (2)")
+const uniqueWorkspaceName = (name, workspaces) => {
+  const names = new Set(workspaces.map(w => w.name));
+  if (!names.has(name)) return name;
+  let n = 2;
+  while (names.has(`${name} (${n})`)) n++;
+  return `${name} (${n})`;
+};
+
+ipcMain.handle('list-workspaces', async () => {
+  const { active, workspaces } = loadWorkspaces();
+  return { active, workspaces: workspaces.map(workspaceSummary) };
+});
+
+// full workspace; the active one when id is omitted
+ipcMain.handle('get-workspace', async (event, id) => {
+  const { active, workspaces } = loadWorkspaces();
+  return workspaces.find(w => w.id === (id || active)) || null;
+});
+
+// create (no id) or update: fields in patch replace the stored ones
+ipcMain.handle('save-workspace', async (event, patch) => {
+  try {
+    const data = loadWorkspaces();
+    const existing = patch && patch.id ? data.workspaces.find(w => w.id === patch.id) : null;
+    if (patch && patch.id && !existing) return { success: false, error: 'unknown workspace' };
+    const base = existing || { name: uniqueWorkspaceName(String((patch && patch.name) || 'Untitled'), data.workspaces) };
+    const workspace = normalizeWorkspace({ ...base, ...(patch || {}), id: existing ? existing.id : undefined, createdAt: base.createdAt, updatedAt: new Date().toISOString() });
+    saveWorkspaces({ ...data, workspaces: existing ? data.workspaces.map(w => (w.id === workspace.id ? workspace : w)) : data.workspaces.concat(workspace) });
+    workspaceChanged(workspace.id);
+    return { success: true, workspace };
+  } catch (err) {
+    return ipcError(err, 'warn', 'save-workspace failed');
+  }
+});
+
+ipcMain.handle('set-active-workspace', async (event, id) => {
+  const data = loadWorkspaces();
+  const workspace = data.workspaces.find(w => w.id === id);
+  if (!workspace) return null;
+  saveWorkspaces({ ...data, active: id });
+  workspaceChanged(id);
+  return workspace;
+});
+
+ipcMain.handle('duplicate-workspace', async (event, id, name) => {
+  const data = loadWorkspaces();
+  const source = data.workspaces.find(w => w.id === id);
+  if (!source) return { success: false, error: 'unknown workspace' };
+  const now = new Date().toISOString();
+  const workspace = normalizeWorkspace({ ...source, id: undefined, name: uniqueWorkspaceName(name || source.name, data.workspaces), createdAt: now, updatedAt: now });
+  saveWorkspaces({ ...data, workspaces: data.workspaces.concat(workspace) });
+  workspaceChanged(workspace.id);
+  return { success: true, workspace };
+});
+
+// the last workspace cannot be deleted; deleting the active one activates the first remaining
+ipcMain.handle('delete-workspace', async (event, id) => {
+  const data = loadWorkspaces();
+  if (data.workspaces.length < 2 || !data.workspaces.some(w => w.id === id)) return false;
+  const workspaces = data.workspaces.filter(w => w.id !== id);
+  saveWorkspaces({ active: data.active === id ? workspaces[0].id : data.active, workspaces });
+  workspaceChanged(id);
+  return true;
+});
+
+// one-time move of the renderer's localStorage keys into a workspace (schema 0 -> current)
+ipcMain.handle('import-legacy-state', async (event, snapshot, name) => {
+  try {
+    const data = loadWorkspaces();
+    const workspace = migrateWorkspace({ ...plainObject(snapshot), schemaVersion: 0, id: undefined, name: uniqueWorkspaceName(name || 'Default', data.workspaces.filter(w => w.favourites.length || Object.keys(w.countryIndicators).length)) });
+    // replace the untouched placeholder created on first run instead of keeping an empty "Default"
+    const placeholder = data.workspaces.length === 1 && !data.workspaces[0].favourites.length && !Object.keys(data.workspaces[0].countryIndicators).length;
+    const workspaces = placeholder ? [workspace] : data.workspaces.concat(workspace);
+    saveWorkspaces({ active: workspace.id, workspaces });
+    workspaceChanged(workspace.id);
+    return { success: true, workspace };
+  } catch (err) {
+    return ipcError(err, 'warn', 'import-legacy-state failed');
+  }
+});
+
+ipcMain.handle('export-workspace', async (event, id) => {
+  try {
+    const { active, workspaces } = loadWorkspaces();
+    const workspace = workspaces.find(w => w.id === (id || active));
+    if (!workspace) return { success: false, error: 'unknown workspace' };
+    const filePath = await chooseSavePath(`${safeFileName(workspace.name)}.worlddata-workspace.json`, WORKSPACE_FILTERS);
+    if (!filePath) return { success: false, canceled: true };
+    fs.writeFileSync(filePath, JSON.stringify({ format: WORKSPACE_FILE_FORMAT, exportedAt: new Date().toISOString(), appVersion: app.getVersion(), workspace }, null, 2));
+    return { success: true, filePath };
+  } catch (err) {
+    return ipcError(err, 'error', 'export-workspace failed');
+  }
+});
+
+// imports as a new workspace (new id, unique name) and makes it active
+ipcMain.handle('import-workspace', async (event, filePath) => {
+  try {
+    let file = filePath;
+    if (!file) {
+      const res = await dialog.showOpenDialog(dialogParent(), { properties: ['openFile'], filters: WORKSPACE_FILTERS });
+      if (res.canceled || !res.filePaths[0]) return { success: false, canceled: true };
+      file = res.filePaths[0];
     }
+    const raw = readJsonFile(file);
+    if (!raw || raw.format !== WORKSPACE_FILE_FORMAT || !raw.workspace) return { success: false, error: 'not a WorldData workspace file' };
+    const data = loadWorkspaces();
+    const migrated = migrateWorkspace(raw.workspace);
+    const workspace = normalizeWorkspace({ ...migrated, id: undefined, name: uniqueWorkspaceName(migrated.name, data.workspaces), updatedAt: new Date().toISOString() });
+    saveWorkspaces({ active: workspace.id, workspaces: data.workspaces.concat(workspace) });
+    workspaceChanged(workspace.id);
+    return { success: true, workspace, migratedFrom: Number.isInteger(raw.workspace.schemaVersion) ? raw.workspace.schemaVersion : 0 };
+  } catch (err) {
+    return ipcError(err, 'warn', 'import-workspace failed');
+  }
+});
+
+// ------------------------
+// Analyst exports (tidy CSV, JSON, JSON-stat)
+// ------------------------
+// One long-format record per country x indicator x year, for pandas / R. A selection is one of:
+//   { kind: 'country', country, indicators }       { kind: 'compare', countries, indicators }
+//   { kind: 'ranking', id, year, ...rankingOpts }  { kind: 'pack', indicators }
+const TIDY_COLUMNS = ['iso3', 'country', 'indicator_id', 'indicator_name', 'year', 'value', 'predicted', 'model', 'lower80', 'upper80', 'lower95', 'upper95', 'filled', 'obs_status', 'annotation'];
+const DATA_EXPORT_FILTERS = {
+  csv: [{ name: 'CSV (tidy long format)', extensions: ['csv'] }],
+  json: [{ name: 'JSON', extensions: ['json'] }],
+  jsonstat: [{ name: 'JSON-stat', extensions: ['json'] }],
+};
+
+// countries in the selection, and the single year a ranking covers: the requested one or, like
+// get-indicator-ranking, the latest year with data, so a ranking export never spills into other years
+const selectionScope = async (selection) => {
+  if (selection.kind === 'country') return { countries: [selection.country], year: null };
+  if (selection.kind === 'compare') return { countries: Array.isArray(selection.countries) ? selection.countries : [], year: null };
+  if (selection.kind === 'ranking') {
+    const ranking = rankIndicator(await getIndicatorStore(), selection.id, selection);
+    return ranking ? { countries: ranking.rows.map(r => r.country), year: String(ranking.year) } : { countries: [], year: null };
+  }
+  return { countries: Array.from(new Set([...listBundledCountries(), ...listPackCountries()])).sort(), year: null };
+};
 
-    log.info('checkAndUpdateIndicators: Version mismatch detected, starting download', { remoteVer, installedVer });
+const selectionIndicators = (selection) => {
+  if (selection.kind === 'ranking') return [selection.id];
+  return Array.isArray(selection.indicators) && selection.indicators.length ? selection.indicators : null;
+};
 
-    // attempt automated download using stored token (if available)
-    let token = null;
-    if (keytar) {
-      try { 
-        token = await keytar.getPassword(KEYTAR_SERVICE, 'indicator'); 
-        log.info('checkAndUpdateIndicators: Token retrieved from keytar', { hasToken: !!token });
-      } catch (e) { 
-        log.warn('checkAndUpdateIndicators: failed to read token from keytar', { err: e && e.message }); 
+/**
+ * Tidy records for a selection. Raw World Bank records are kept alongside so the JSON export can
+ * reproduce the v2 shape. opts.forecast ({ horizon, model }) appends predicted points; opts.gapMode
+ * fills gaps, which are marked in `filled` ('interpolated' / 'carried').
+ */
+const collectTidyRecords = async (selection, opts) => {
+  const { countries, year } = await selectionScope(selection);
+  const ids = selectionIndicators(selection);
+  const annotationAt = annotationLookup(countries);
+  const records = [];
+  for (const country of countries) {
+    // eslint-disable-next-line no-await-in-loop
+    const data = await getCountryDataCached(country);
+    if (!data || data.source === 'none') continue;
+    for (const id of ids || Object.keys(data.indicators)) {
+      const series = data.indicators[id];
+      if (!series) continue;
+      const sample = series.data.find(r => r && r.country) || {};
+      const byDate = new Map(series.data.filter(Boolean).map(r => [String(r.date), r]));
+      const { points } = seriesPoints(id, series, opts);
+      for (const p of points) {
+        if (year && p.date !== year) continue;
+        const raw = byDate.get(p.date) || {};
+        records.push({
+          iso3: sample.countryiso3code || '',
+          iso2: sample.country ? sample.country.id : '',
+          country: sample.country ? sample.country.value : data.country.replace(/_/g, ' '),
+          indicator_id: id,
+          indicator_name: series.indicator_name || id,
+          year: parseInt(p.date, 10),
+          value: p.value === undefined ? null : p.value,
+          predicted: !!p.predicted,
+          model: p.predicted ? p.model || '' : '',
+          lower80: p.lower80 ?? null,
+          upper80: p.upper80 ?? null,
+          lower95: p.lower95 ?? null,
+          upper95: p.upper95 ?? null,
+          filled: p.filled || '',
+          obs_status: p.predicted || p.filled ? '' : raw.obs_status || '',
+          annotation: annotationAt(data.country, id, parseInt(p.date, 10)),
+          countryKey: data.country,
+          unit: raw.unit || '',
+          decimal: raw.decimal || 0,
+        });
       }
-    } else {
-      log.warn('checkAndUpdateIndicators: keytar not available, proceeding without token');
     }
+  }
+  records.sort((a, b) => a.iso3.localeCompare(b.iso3) || a.indicator_id.localeCompare(b.indicator_id) || a.year - b.year);
+  return records;
+};
+
+const csvCell = (v) => {
+  const s = v === null || v === undefined ? '' : String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
 
-    log.info('checkAndUpdateIndicators: Calling performDownloadIndicators', { owner: AUTO_OWNER, repo: AUTO_REPO, branch: 'main', hasToken: !!token });
-    const downloadResult = await performDownloadIndicators({ owner: AUTO_OWNER, repo: AUTO_REPO, branch: 'main', token, version: remoteVer });
+function* tidyCsvLines(records) {
+  yield `${TIDY_COLUMNS.join(',')}\r\n`;
+  for (const r of records) yield `${TIDY_COLUMNS.map(c => csvCell(c === 'predicted' ? (r.predicted ? 'true' : 'false') : r[c])).join(',')}\r\n`;
+}
 
-    log.info('checkAndUpdateIndicators: Auto download completed', { success: downloadResult && downloadResult.success, downloaded: downloadResult && downloadResult.downloaded });
+// World Bank v2 record shape; `predicted` and `filled` are only added when forecasts / gap filling were requested
+const toWorldBankRecord = (r, withPredicted, withFilled) => {
+  const rec = {
+    indicator: { id: r.indicator_id, value: r.indicator_name },
+    country: { id: r.iso2, value: r.country },
+    countryiso3code: r.iso3,
+    date: String(r.year),
+    value: r.value,
+    unit: r.unit,
+    obs_status: r.obs_status,
+    decimal: r.decimal,
+  };
+  if (withPredicted) rec.predicted = r.predicted;
+  if (r.predicted && r.lower95 !== null) Object.assign(rec, { model: r.model, lower80: r.lower80, upper80: r.upper80, lower95: r.lower95, upper95: r.upper95 });
+  if (withFilled) rec.filled = r.filled || null;
+  if (r.annotation) rec.annotation = r.annotation;
+  return rec;
+};
 
-    // Notify renderer
-    try {
-      if (mainWindow && mainWindow.webContents) {
-        mainWindow.webContents.send('indicators-updated', { success: !!downloadResult && !!downloadResult.success, version: remoteVer, details: downloadResult });
-        log.info('checkAndUpdateIndicators: Renderer notification sent');
-      } else {
-        log.warn('checkAndUpdateIndicators: mainWindow or webContents not available for notification');
+// one record per line: a whole-pack export is hundreds of thousands of records
+function* worldBankJsonLines(records, withPredicted, withFilled) {
+  yield '[';
+  for (let i = 0; i < records.length; i++) yield `${i ? ',' : ''}\n${JSON.stringify(toWorldBankRecord(records[i], withPredicted, withFilled))}`;
+  yield '\n]\n';
+}
+
+// write chunks through a stream, waiting for it to drain so the main process keeps serving IPC meanwhile
+const writeChunks = (filePath, chunks) => new Promise((resolve, reject) => {
+  const out = fs.createWriteStream(filePath, { encoding: 'utf8' });
+  out.on('error', reject);
+  out.on('finish', resolve);
+  const pump = () => {
+    for (let next = chunks.next(); !next.done; next = chunks.next()) {
+      if (!out.write(next.value)) {
+        out.once('drain', pump);
+        return;
+      }
+    }
+    out.end();
+  };
+  pump();
+});
+
+// JSON-stat 2.0 dataset with indicator x country x year dimensions; predicted cells get status "p",
+// interpolated "i" and carried-forward "c"
+const toJsonStat = async (records, label) => {
+  const indicators = new Map();
+  const countries = new Map();
+  const years = new Set();
+  for (const r of records) {
+    indicators.set(r.indicator_id, r.indicator_name);
+    countries.set(r.iso3 || r.country, r.country);
+    years.add(String(r.year));
+  }
+  const ind = Array.from(indicators.keys()).sort();
+  const ctry = Array.from(countries.keys()).sort();
+  const yrs = Array.from(years).sort();
+  const pos = (list) => new Map(list.map((k, i) => [k, i]));
+  const ip = pos(ind);
+  const cp = pos(ctry);
+  const yp = pos(yrs);
+  const value = new Array(ind.length * ctry.length * yrs.length).fill(null);
+  const status = {};
+  for (const r of records) {
+    const idx = (ip.get(r.indicator_id) * ctry.length + cp.get(r.iso3 || r.country)) * yrs.length + yp.get(String(r.year));
+    value[idx] = r.value;
+    if (r.predicted) status[idx] = 'p';
+    else if (r.filled) status[idx] = r.filled === 'carried' ? 'c' : 'i';
+  }
+  const category = (list, labels) => ({ index: Object.fromEntries(list.map((k, i) => [k, i])), label: Object.fromEntries(list.map(k => [k, labels.get(k) || k])) });
+  const packVersion = await readInstalledIndicatorVersion();
+  const dataset = {
+    version: '2.0',
+    class: 'dataset',
+    label,
+    source: 'World Bank World Development Indicators, via WorldData',
+    updated: new Date().toISOString(),
+    id: ['indicator', 'country', 'year'],
+    size: [ind.length, ctry.length, yrs.length],
+    dimension: {
+      indicator: { label: 'Indicator', category: category(ind, indicators) },
+      country: { label: 'Country', category: category(ctry, countries) },
+      year: { label: 'Year', category: category(yrs, new Map()) },
+    },
+    value,
+    extension: { packVersion: packVersion || 'bundled', appVersion: app.getVersion(), statusCodes: { p: 'forecast', i: 'interpolated', c: 'carried forward' } },
+  };
+  if (Object.keys(status).length) dataset.status = status;
+  const keys = Array.from(new Set(records.map(r => r.countryKey)));
+  const annotations = annotationsFor(keys, null).filter(a => !a.indicator || indicators.has(a.indicator));
+  if (annotations.length) dataset.extension.annotations = annotations.map(({ country, indicator, year, label, note }) => ({ country, indicator, year, label, note }));
+  const notes = Object.fromEntries(keys.map(k => [k, loadAnnotations().notes[k]]).filter(([, n]) => n).map(([k, n]) => [k, n.text]));
+  if (Object.keys(notes).length) dataset.extension.notes = notes;
+  return JSON.stringify(dataset);
+};
+
+const selectionLabel = (selection) => {
+  if (selection.kind === 'country') return toCountryKey(selection.country);
+  if (selection.kind === 'compare') return 'Comparison';
+  if (selection.kind === 'ranking') return `Ranking-${selection.id}${selection.year ? `-${selection.year}` : ''}`;
+  return 'WorldData-pack';
+};
+
+// opts: { format: 'csv' | 'json' | 'jsonstat', forecast, gapMode }
+ipcMain.handle('export-data', async (event, selection, opts) => {
+  const format = ['csv', 'json', 'jsonstat'].includes(opts && opts.format) ? opts.format : 'csv';
+  log.info('IPC: export-data', { kind: selection && selection.kind, format });
+  try {
+    if (!selection || !selection.kind) return { success: false, error: 'missing selection' };
+    const label = selectionLabel(selection);
+    const ext = format === 'csv' ? 'csv' : 'json';
+    const filePath = await chooseSavePath(`${safeFileName(label)}${format === 'jsonstat' ? '.jsonstat' : ''}.${ext}`, DATA_EXPORT_FILTERS[format]);
+    if (!filePath) return { success: false, canceled: true };
+    const records = await collectTidyRecords(selection, opts);
+    if (format === 'csv') await writeChunks(filePath, tidyCsvLines(records));
+    else if (format === 'json') await writeChunks(filePath, worldBankJsonLines(records, !!(opts && opts.forecast), !!(opts && GAP_MODES.includes(opts.gapMode) && opts.gapMode !== 'gap')));
+    else fs.writeFileSync(filePath, await toJsonStat(records, label.replace(/[-_]+/g, ' ')), 'utf8');
+    log.info('export-data written', { filePath, records: records.length });
+    return { success: true, filePath, records: records.length };
+  } catch (err) {
+    return ipcError(err, 'error', 'export-data failed');
+  }
+});
+
+// ------------------------
+// Chart images and PDF reports
+// ------------------------
+// The renderer serializes its recharts <svg> and sends it here; the main process adds title, units,
+// source and legend, then saves it as SVG or rasterizes it to PNG in a hidden window. Country reports
+// are laid out as HTML and printed to PDF the same way.
+const IMAGE_FILTERS = { png: [{ name: 'PNG Image', extensions: ['png'] }], svg: [{ name: 'SVG Image', extensions: ['svg'] }] };
+const PDF_FILTERS = [{ name: 'PDF Document', extensions: ['pdf'] }];
+const CHART_SOURCE = 'Source: World Bank World Development Indicators, via WorldData';
+
+const escapeHtml = (s) => String(s === null || s === undefined ? '' : s)
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+const svgDimension = (svg, attr, fallback) => {
+  const m = new RegExp(`<svg[^>]*\\s${attr}="([\\d.]+)`).exec(svg);
+  return m ? parseFloat(m[1]) : fallback;
+};
+
+/**
+ * Wrap a chart svg with a title block above and units/legend/source below.
+ * chart: { svg, title, subtitle, units, source, legend: [{ label, color }] }
+ */
+const composeChartSvg = (chart) => {
+  const inner = String(chart.svg || '').replace(/^\s*<\?xml[^>]*>/, '');
+  const width = svgDimension(inner, 'width', 800);
+  const height = svgDimension(inner, 'height', 400);
+  const top = chart.subtitle ? 56 : 40;
+  const legend = Array.isArray(chart.legend) ? chart.legend : [];
+  const bottom = 28 + (legend.length ? 24 : 0);
+  const font = 'font-family="Segoe UI, Helvetica, Arial, sans-serif"';
+  let x = 16;
+  const legendItems = legend.map((item) => {
+    const markup = `<rect x="${x}" y="${top + height + 8}" width="12" height="12" fill="${escapeHtml(item.color || '#888')}"/>`
+      + `<text x="${x + 18}" y="${top + height + 18}" font-size="12" ${font}>${escapeHtml(item.label)}</text>`;
+    x += 36 + String(item.label || '').length * 7;
+    return markup;
+  }).join('');
+  const footerY = top + height + bottom - 8;
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${top + height + bottom}" viewBox="0 0 ${width} ${top + height + bottom}">`
+    + `<rect width="100%" height="100%" fill="#ffffff"/>`
+    + `<text x="16" y="26" font-size="18" font-weight="600" ${font}>${escapeHtml(chart.title)}</text>`
+    + (chart.subtitle ? `<text x="16" y="46" font-size="12" fill="#555" ${font}>${escapeHtml(chart.subtitle)}</text>` : '')
+    // an svg referenced as an image never runs scripts or loads anything, wherever the file is opened
+    + `<image x="0" y="${top}" width="${width}" height="${height}" href="data:image/svg+xml;base64,${Buffer.from(inner, 'utf8').toString('base64')}"/>`
+    + legendItems
+    + `<text x="16" y="${footerY}" font-size="11" fill="#555" ${font}>${escapeHtml(chart.units ? `Units: ${chart.units}` : '')}</text>`
+    + `<text x="${width - 16}" y="${footerY}" font-size="11" fill="#555" text-anchor="end" ${font}>${escapeHtml(chart.source || CHART_SOURCE)}</text>`
+    + '</svg>';
+};
+
+// load html into a hidden, script-free window and hand it to fn; the window and its page are always
+// removed. The page goes through a temp file: data: URLs stop loading at around 2 MB, which a report
+// with several charts passes.
+const withHiddenWindow = async (html, size, fn) => {
+  const pageFile = path.join(app.getPath('temp'), `worlddata-render-${process.pid}-${require('crypto').randomBytes(6).toString('hex')}.html`);
+  fs.writeFileSync(pageFile, html, 'utf8');
+  const win = new BrowserWindow({
+    show: false,
+    width: size.width,
+    height: size.height,
+    webPreferences: { javascript: false, sandbox: true, contextIsolation: true, nodeIntegration: false },
+  });
+  hiddenWindows.add(win);
+  try {
+    await win.loadFile(pageFile);
+    return await fn(win);
+  } finally {
+    win.destroy();
+    try { fs.unlinkSync(pageFile); } catch (e) { /* already gone */ }
+  }
+};
+
+const rasterizeSvg = async (svg) => {
+  const width = Math.ceil(svgDimension(svg, 'width', 800));
+  const height = Math.ceil(svgDimension(svg, 'height', 400));
+  const html = `<html><body style="margin:0;background:#fff">${svg}</body></html>`;
+  return withHiddenWindow(html, { width, height }, async (win) => (await win.webContents.capturePage({ x: 0, y: 0, width, height })).toPNG());
+};
+
+// chart: see composeChartSvg; opts: { format: 'png' | 'svg', defaultName }
+ipcMain.handle('save-chart-image', async (event, chart, opts) => {
+  const format = opts && opts.format === 'svg' ? 'svg' : 'png';
+  try {
+    const defaultName = `${safeFileName((opts && opts.defaultName) || (chart && chart.title) || 'chart')}.${format}`;
+    const filePath = await chooseSavePath(defaultName, IMAGE_FILTERS[format]);
+    if (!filePath) return { success: false, canceled: true };
+    const svg = composeChartSvg(chart || {});
+    if (format === 'svg') fs.writeFileSync(filePath, svg, 'utf8');
+    else fs.writeFileSync(filePath, await rasterizeSvg(svg));
+    log.info('save-chart-image written', { filePath, format });
+    return { success: true, filePath };
+  } catch (err) {
+    return ipcError(err, 'error', 'save-chart-image failed');
+  }
+});
+
+const formatReportNumber = (v) => {
+  if (v === null || v === undefined || !Number.isFinite(v)) return '-';
+  const abs = Math.abs(v);
+  if (abs >= 1e12) return `${(v / 1e12).toFixed(2)}T`;
+  if (abs >= 1e9) return `${(v / 1e9).toFixed(2)}B`;
+  if (abs >= 1e6) return `${(v / 1e6).toFixed(2)}M`;
+  if (abs >= 1e3) return `${(v / 1e3).toFixed(2)}K`;
+  return v.toFixed(2);
+};
+
+// latest value, range and average annual change over the observed years
+const summarizeSeries = (series) => {
+  const obs = series.data
+    .filter(r => r && typeof r.value === 'number')
+    .map(r => ({ year: parseInt(r.date, 10), value: r.value }))
+    .sort((a, b) => a.year - b.year);
+  if (!obs.length) return null;
+  const first = obs[0];
+  const last = obs[obs.length - 1];
+  const values = obs.map(o => o.value);
+  const span = last.year - first.year;
+  return {
+    latest: last.value,
+    latestYear: last.year,
+    min: Math.min(...values),
+    max: Math.max(...values),
+    firstYear: first.year,
+    avgChange: span > 0 ? (last.value - first.value) / span : null,
+    observations: obs.length,
+  };
+};
+
+const REPORT_CSS = `
+  body { font-family: "Segoe UI", Helvetica, Arial, sans-serif; color: #222; margin: 0; }
+  h1 { font-size: 24px; margin: 0 0 4px; }
+  h2 { font-size: 16px; margin: 18px 0 8px; border-bottom: 1px solid #ccc; padding-bottom: 4px; }
+  .meta { color: #666; font-size: 11px; margin-bottom: 12px; }
+  table { border-collapse: collapse; width: 100%; font-size: 11px; }
+  th, td { border: 1px solid #ddd; padding: 4px 6px; text-align: left; }
+  th { background: #f3f3f3; }
+  td.num { text-align: right; }
+  .chart { page-break-inside: avoid; margin: 12px 0; }
+  .chart svg { max-width: 100%; height: auto; }
+  .page-break { page-break-before: always; }
+  .notes { white-space: pre-wrap; font-size: 12px; line-height: 1.4; }
+`;
+
+/**
+ * payload: { country, info: { capital, currency, population, ... }, indicators: [ids],
+ *            charts: [{ svg, title, subtitle, units, legend }] }
+ * `info` is the renderer's hoverinfo record; charts are the serialized recharts svgs for the report.
+ */
+const buildReportHtml = async (payload) => {
+  const data = await getCountryDataCached(payload.country);
+  if (!data || data.source === 'none') throw new Error('no data for country');
+  const ids = Array.isArray(payload.indicators) && payload.indicators.length
+    ? payload.indicators.filter(id => data.indicators[id])
+    : Object.keys(data.indicators);
+  const sample = Object.values(data.indicators).map(s => s.data.find(r => r && r.country)).find(Boolean);
+  const countryName = sample ? sample.country.value : data.country.replace(/_/g, ' ');
+  const info = payload.info || {};
+  const infoRows = Object.entries(info)
+    .filter(([, v]) => v !== null && v !== undefined && typeof v !== 'object')
+    .map(([k, v]) => `<tr><th>${escapeHtml(k.charAt(0).toUpperCase() + k.slice(1))}</th><td>${escapeHtml(typeof v === 'number' ? v.toLocaleString('en-US') : String(v).replace(/\[\[(?:[^|\]]*\|)?([^\]]*)\]\]/g, '$1'))}</td></tr>`)
+    .join('');
+  const statRows = ids.map((id) => {
+    const s = data.indicators[id];
+    const st = summarizeSeries(s);
+    if (!st) return `<tr><td>${escapeHtml(s.indicator_name)}</td><td>${escapeHtml(id)}</td><td colspan="5">No observations</td></tr>`;
+    return `<tr><td>${escapeHtml(s.indicator_name)}</td><td>${escapeHtml(id)}</td>`
+      + `<td class="num">${formatReportNumber(st.latest)}</td><td class="num">${st.latestYear}</td>`
+      + `<td class="num">${formatReportNumber(st.min)}</td><td class="num">${formatReportNumber(st.max)}</td>`
+      + `<td class="num">${formatReportNumber(st.avgChange)}</td></tr>`;
+  }).join('');
+  const charts = (Array.isArray(payload.charts) ? payload.charts : [])
+    .map(chart => `<div class="chart">${composeChartSvg(chart)}</div>`)
+    .join('');
+  const packVersion = data.packVersion || (await readInstalledIndicatorVersion());
+  const wanted = new Set(ids);
+  const annotationRows = annotationsFor([data.country], null)
+    .filter(a => !a.indicator || wanted.has(a.indicator))
+    .map(a => `<tr><td class="num">${a.year}</td><td>${escapeHtml(a.indicator ? (data.indicators[a.indicator] || {}).indicator_name || a.indicator : 'All indicators')}</td>`
+      + `<td>${escapeHtml(a.label)}</td><td>${escapeHtml(a.note)}</td></tr>`)
+    .join('');
+  const notes = loadAnnotations().notes[data.country];
+
+  return `<!doctype html><html><head><meta charset="utf-8"><title>${escapeHtml(countryName)}</title><style>${REPORT_CSS}</style></head><body>`
+    + `<h1>${escapeHtml(countryName)}</h1>`
+    + `<div class="meta">Generated ${escapeHtml(new Date().toISOString().slice(0, 10))} · WorldData ${escapeHtml(app.getVersion())} · data: ${escapeHtml(data.source)}${packVersion ? ` (pack ${escapeHtml(packVersion)})` : ''}</div>`
+    + (infoRows ? `<h2>Country Information</h2><table>${infoRows}</table>` : '')
+    + '<h2>Summary</h2><table><tr><th>Indicator</th><th>ID</th><th>Latest</th><th>Year</th><th>Min</th><th>Max</th><th>Avg. change / yr</th></tr>'
+    + `${statRows}</table>`
+    + (annotationRows ? `<h2>Annotations</h2><table><tr><th>Year</th><th>Indicator</th><th>Label</th><th>Note</th></tr>${annotationRows}</table>` : '')
+    + (notes ? `<h2>Notes</h2><div class="notes">${escapeHtml(notes.text)}</div>` : '')
+    + (charts ? `<div class="page-break"></div><h2>Charts</h2>${charts}` : '')
+    + '</body></html>';
+};
+
+ipcMain.handle('generate-country-report', async (event, payload) => {
+  log.info('IPC: generate-country-report', { country: payload && payload.country });
+  try {
+    if (!payload || !payload.country) return { success: false, error: 'missing country' };
+    const html = await buildReportHtml(payload);
+    const filePath = await chooseSavePath(`${safeFileName(toCountryKey(payload.country))}-report.pdf`, PDF_FILTERS);
+    if (!filePath) return { success: false, canceled: true };
+    const pdf = await withHiddenWindow(html, { width: 900, height: 1200 }, (win) => win.webContents.printToPDF({
+      pageSize: 'A4',
+      printBackground: true,
+      displayHeaderFooter: true,
+      headerTemplate: '<span></span>',
+      footerTemplate: '<div style="font-size:8px;width:100%;text-align:center;color:#888"><span class="pageNumber"></span> / <span class="totalPages"></span></div>',
+    }));
+    fs.writeFileSync(filePath, pdf);
+    log.info('generate-country-report written', { filePath });
+    return { success: true, filePath };
+  } catch (err) {
+    return ipcError(err, 'error', 'generate-country-report failed');
+  }
+});
+
+// ------------------------
+// Indicator sources
+// ------------------------
+// Where packs come from: GitHub repos, HTTPS mirrors with a manifest, local zip files or folders. Sources
+// are tried in priority order (lowest first) by the periodic check; the first one that answers wins.
+const REMOTE_VERSION_URL = 'https://raw.githubusercontent.com/xmcllabs/V_Indicators/refs/heads/main/Indicator_version';
+const AUTO_OWNER = 'xmcllabs';
+const AUTO_REPO = 'Indicators';
+const SOURCES_FILE = 'indicator_sources.json';
+const SOURCE_FIELDS = {
+  github: ['owner', 'repo', 'branch', 'versionUrl'],
+  http: ['baseUrl'],
+  zip: ['path'],
+  folder: ['path'],
+};
+
+const DEFAULT_SOURCES = [
+  { id: 'default', type: 'github', name: 'World Data indicators', owner: AUTO_OWNER, repo: AUTO_REPO, branch: 'main', versionUrl: REMOTE_VERSION_URL, priority: 0, enabled: true },
+];
+
+const getSourcesFile = () => path.join(app.getPath('userData'), SOURCES_FILE);
+
+const normalizeSource = (raw, index) => {
+  if (!raw || !SOURCE_FIELDS[raw.type]) throw new Error(`source ${index + 1}: unknown type ${raw && raw.type}`);
+  const source = {
+    id: String(raw.id || `${raw.type}-${Date.now().toString(36)}-${index}`),
+    type: raw.type,
+    name: String(raw.name || raw.type),
+    priority: Number.isFinite(Number(raw.priority)) ? Number(raw.priority) : index,
+    enabled: raw.enabled !== false,
+  };
+  for (const field of SOURCE_FIELDS[raw.type]) {
+    if (raw[field]) source[field] = String(raw[field]).trim();
+  }
+  if (source.type === 'github' && !source.branch) source.branch = 'main';
+  const invalid = getSourceProvider(source).validate(source);
+  if (invalid) throw new Error(`source ${source.name}: ${invalid}`);
+  return source;
+};
+
+const sortSources = (list) => list.slice().sort((a, b) => a.priority - b.priority);
+
+const loadIndicatorSources = () => {
+  const raw = readJsonFile(getSourcesFile());
+  if (!raw || !Array.isArray(raw.sources)) return sortSources(DEFAULT_SOURCES);
+  const sources = [];
+  raw.sources.forEach((s, i) => {
+    try { sources.push(normalizeSource(s, i)); } catch (err) { log.warn('ignoring invalid indicator source', { err: err.message }); }
+  });
+  return sortSources(sources);
+};
+
+ipcMain.handle('list-indicator-sources', async () => loadIndicatorSources());
+
+ipcMain.handle('save-indicator-sources', async (event, list) => {
+  try {
+    if (!Array.isArray(list)) return { success: false, error: 'expected a list of sources' };
+    const sources = sortSources(list.map(normalizeSource));
+    const ids = new Set(sources.map(s => s.id));
+    if (ids.size !== sources.length) return { success: false, error: 'duplicate source id' };
+    ensureDir(path.dirname(getSourcesFile()));
+    fs.writeFileSync(getSourcesFile(), JSON.stringify({ version: 1, sources }, null, 2));
+    log.info('indicator sources saved', { count: sources.length });
+    return { success: true, sources };
+  } catch (err) {
+    return ipcError(err);
+  }
+});
+
+// source may be a saved id or an unsaved definition (to test it from the settings form)
+const resolveSource = (source) => {
+  if (typeof source === 'string') {
+    const found = loadIndicatorSources().find(s => s.id === source);
+    if (!found) throw new Error(`unknown source ${source}`);
+    return found;
+  }
+  return normalizeSource(source, 0);
+};
+
+ipcMain.handle('check-indicator-source', async (event, source) => {
+  try {
+    const resolved = resolveSource(source);
+    const version = await checkSourceVersion(resolved);
+    return version ? { success: true, version } : { success: false, error: 'source unavailable' };
+  } catch (err) {
+    return ipcError(err);
+  }
+});
+
+ipcMain.handle('install-indicator-source', async (event, source) => {
+  try {
+    const resolved = resolveSource(source);
+    log.info('IPC: install-indicator-source', { id: resolved.id, type: resolved.type });
+    const result = await installPack(resolved, {});
+    if (result.success) {
+      clearSkippedVersion();
+      sendToRenderer('indicators-updated', { success: true, version: result.version, source: resolved.id, details: result });
+    }
+    return result;
+  } catch (err) {
+    // an unknown source never reaches installPack
+    return downloadFinished(ipcError(err));
+  }
+});
+
+ipcMain.handle('choose-indicator-source-path', async (event, type) => {
+  const res = await dialog.showOpenDialog(dialogParent(), type === 'zip'
+    ? { properties: ['openFile'], filters: [{ name: 'Zip archives', extensions: ['zip'] }] }
+    : { properties: ['openDirectory'] });
+  return res.canceled || !res.filePaths[0] ? null : res.filePaths[0];
+});
+
+// ------------------------
+// Pack pin
+// ------------------------
+// userData/pack_pin.json: { pinned, skipVersion }. A rollback records the version it left as skipVersion so
+// the scheduled check does not reinstall it (a newer remote version is still installed); pinned stops
+// automatic pack updates altogether. Both hold until the user clears them or installs a pack by hand.
+const PACK_PIN_FILE = 'pack_pin.json';
+
+const getPackPinFile = () => path.join(app.getPath('userData'), PACK_PIN_FILE);
+
+const loadPackPin = () => {
+  const raw = readJsonFile(getPackPinFile());
+  return { pinned: !!(raw && raw.pinned), skipVersion: (raw && typeof raw.skipVersion === 'string' && raw.skipVersion) || null };
+};
+
+const savePackPin = (pin) => {
+  const next = { pinned: !!pin.pinned, skipVersion: pin.skipVersion || null };
+  ensureDir(path.dirname(getPackPinFile()));
+  fs.writeFileSync(getPackPinFile(), JSON.stringify({ version: 1, ...next, updatedAt: new Date().toISOString() }, null, 2));
+  return next;
+};
+
+const clearSkippedVersion = () => {
+  const pin = loadPackPin();
+  if (pin.skipVersion) savePackPin({ ...pin, skipVersion: null });
+};
+
+ipcMain.handle('get-pack-pin', async () => loadPackPin());
+
+// patch: { pinned?, skipVersion? }; pass skipVersion: null to stop skipping
+ipcMain.handle('set-pack-pin', async (event, patch) => savePackPin({ ...loadPackPin(), ...(patch || {}) }));
+
+ipcMain.handle('check-indicators-now', async () => {
+  await checkAndUpdateIndicators();
+  return await readInstalledIndicatorVersion();
+});
+
+// Periodic remote indicator version check and auto-download (production only)
+const CHECK_INTERVAL_MS = 1000 * 60 * 60; // hourly
+
+const updatePackFromSources = async () => {
+  try {
+    const pin = loadPackPin();
+    if (pin.pinned) {
+      log.info('checkAndUpdateIndicators: pack is pinned, not updating');
+      return;
+    }
+    const sources = loadIndicatorSources().filter(s => s.enabled);
+    const installedVer = await readInstalledIndicatorVersion();
+    log.info('checkAndUpdateIndicators: Starting version check', { sources: sources.map(s => s.id), installedVer, isDev, skipVersion: pin.skipVersion });
+
+    for (const source of sources) {
+      const remoteVer = await checkSourceVersion(source);
+      log.info('checkAndUpdateIndicators: Remote version fetched', { source: source.id, remoteVer });
+      if (!remoteVer) continue;
+
+      if (installedVer === remoteVer) {
+        log.info('checkAndUpdateIndicators: Versions match, no update needed', { source: source.id });
+        return;
       }
-    } catch (e) { 
-      log.error('checkAndUpdateIndicators: failed to send indicators-updated', { err: e && e.message }); 
+      if (pin.skipVersion === remoteVer) {
+        log.info('checkAndUpdateIndicators: remote version was rolled back from, skipping', { source: source.id, remoteVer });
+        return;
+      }
+
+      log.info('checkAndUpdateIndicators: Version mismatch detected, starting download', { source: source.id, remoteVer, installedVer });
+      const downloadResult = await installPack(source, { version: remoteVer });
+      log.info('checkAndUpdateIndicators: Auto download completed', { source: source.id, success: downloadResult && downloadResult.success, downloaded: downloadResult && downloadResult.downloaded });
+
+      // Notify renderer
+      sendToRenderer('indicators-updated', { success: !!downloadResult && !!downloadResult.success, version: remoteVer, source: source.id, details: downloadResult });
+      if (downloadResult.success || downloadResult.cancelled || downloadResult.error === 'download already running') return;
+      log.warn('checkAndUpdateIndicators: install failed, trying next source', { source: source.id, error: downloadResult.error });
     }
+    log.warn('checkAndUpdateIndicators: no source could be updated from');
   } catch (err) {
     log.error('checkAndUpdateIndicators: Uncaught exception', { err: err && err.message, stack: err && err.stack });
   }
 };
 
-// Initialize periodic checks only in production
-if (!isDev) {
+// pack update first, then indicators added from the API that are due for a refresh
+const checkAndUpdateIndicators = async () => {
+  await updatePackFromSources();
+  const refreshed = await refreshApiIndicators(false);
+  if (refreshed.length) {
+    log.info('checkAndUpdateIndicators: API indicators refreshed', { refreshed });
+    sendToRenderer('indicators-updated', { success: refreshed.every(r => r.success), apiIndicators: refreshed });
+  }
+};
+
+// Initialize periodic checks only in production, and only in the instance that holds the lock: a second
+// launch quits asynchronously and must not race the first one's pack install
+if (gotInstanceLock) recoverPackSwap();
+if (!gotInstanceLock) {
+  log.info('Second instance - indicator checks left to the running instance');
+} else if (!isDev) {
   log.info('Production mode detected - enabling auto indicator checks');
   // immediate check on startup
   log.info('Scheduling immediate indicator version check');
@@ -565,10 +5092,3 @@ if (!isDev) {
   log.info('Development mode detected - auto indicator checks disabled');
 }
 
-// Initialize periodic checks only in production
-if (!isDev) {
-  // immediate check on startup
-  checkAndUpdateIndicators().catch(err => log.warn('initial check failed', { err: err && err.message }));
-  setInterval(() => { checkAndUpdateIndicators().catch(err => log.warn('scheduled check failed', { err: err && err.message })); }, CHECK_INTERVAL_MS);
-}
-
@@ -43,6 +43,21 @@ try {
       getInstalledIndicatorsVersion: () => ipcRenderer.invoke('get-installed-indicators-version'),
       checkIndicatorsVersion: (url) => ipcRenderer.invoke('check-indicators-version', url),
       downloadIndicators: (opts) => ipcRenderer.invoke('download-indicators', opts),
+      // stops the running download; files staged so far are reused by the next call
+      cancelDownload: () => ipcRenderer.invoke('cancel-indicators-download'),
+      // prioritised pack sources: GitHub repo, HTTPS mirror with manifest.json, local zip or folder
+      listSources: () => ipcRenderer.invoke('list-indicator-sources'),
+      saveSources: (sources) => ipcRenderer.invoke('save-indicator-sources', sources),
+      checkSource: (source) => ipcRenderer.invoke('check-indicator-source', source),
+      installFromSource: (source) => ipcRenderer.invoke('install-indicator-source', source),
+      chooseSourcePath: (type) => ipcRenderer.invoke('choose-indicator-source-path', type),
+      checkForUpdates: () => ipcRenderer.invoke('check-indicators-now'),
+      // the pack replaced by the last update is kept; rollback swaps it back in
+      getPreviousIndicatorsVersion: () => ipcRenderer.invoke('get-previous-indicators-version'),
+      rollbackIndicators: () => ipcRenderer.invoke('rollback-indicators'),
+      // a rollback skips the version it left until cleared; pinning stops automatic pack updates
+      getPackPin: () => ipcRenderer.invoke('get-pack-pin'),
+      setPackPin: (patch) => ipcRenderer.invoke('set-pack-pin', patch),
       // secure token storage
       storeToken: (token) => ipcRenderer.invoke('store-indicator-token', token),
       getToken: () => ipcRenderer.invoke('get-indicator-token'),
@@ -50,6 +65,100 @@ try {
       // read installed indicator files
       listIndicatorFiles: () => ipcRenderer.invoke('list-indicator-files'),
       readIndicatorFile: (relPath) => ipcRenderer.invoke('read-indicator-file', relPath),
+      // unified country data: installed pack series preferred, bundled data as fallback
+      listCountries: () => ipcRenderer.invoke('list-countries'),
+      getCountryData: (country) => ipcRenderer.invoke('get-country-data', country),
+      // load on demand; prefetch warms the main-process cache in the background (e.g. favourites)
+      prefetchCountries: (countries) => ipcRenderer.invoke('prefetch-countries', countries),
+      getCountryCacheStats: () => ipcRenderer.invoke('get-country-cache-stats'),
+      // cross-country store: one indicator for all countries in a single call
+      getIndicatorStoreInfo: () => ipcRenderer.invoke('get-indicator-store-info'),
+      getIndicatorValues: (id, opts) => ipcRenderer.invoke('get-indicator-values', id, opts),
+      getIndicatorRanking: (id, opts) => ipcRenderer.invoke('get-indicator-ranking', id, opts),
+      // catalog: topic, definition, unit type and source note per indicator, for the grouped picker
+      getIndicatorCatalog: () => ipcRenderer.invoke('get-indicator-catalog'),
+      getIndicatorInfo: (id) => ipcRenderer.invoke('get-indicator-info', id),
+      searchIndicatorCatalog: (query) => ipcRenderer.invoke('search-indicator-catalog', query),
+      // countries vs regional / income / lending aggregates
+      getCountryClassification: (countries) => ipcRenderer.invoke('get-country-classification', countries),
+      getAggregateMembers: (aggregate) => ipcRenderer.invoke('get-aggregate-members', aggregate),
+      getCountryGroups: (country) => ipcRenderer.invoke('get-country-groups', country),
+      // per-ISO3 values and class breaks for the world map
+      getChoroplethData: (id, opts) => ipcRenderer.invoke('get-choropleth-data', id, opts),
+      // X/Y/bubble points per country with a fitted trend line
+      getScatterData: (xId, yId, opts) => ipcRenderer.invoke('get-scatter-data', xId, yId, opts),
+      // compare any number of countries / aggregates with index, per capita, yoy, log or share-of-world modes
+      getCompareSeries: (countries, id, opts) => ipcRenderer.invoke('get-compare-series', countries, id, opts),
+      // forecasting models, horizon and prediction intervals
+      listForecastModels: () => ipcRenderer.invoke('list-forecast-models'),
+      forecastSeries: (data, opts) => ipcRenderer.invoke('forecast-series', data, opts),
+      forecastIndicator: (country, id, opts) => ipcRenderer.invoke('forecast-indicator', country, id, opts),
+      runForecastBacktest: (opts) => ipcRenderer.invoke('run-forecast-backtest', opts),
+      onBacktestProgress: (cb) => ipcRenderer.on('backtest-progress', (event, data) => cb && cb(data)),
+      // coverage heatmap, per-series quality and explicit gap handling ('gap' | 'linear' | 'carry')
+      getCoverage: (opts) => ipcRenderer.invoke('get-coverage', opts),
+      getSeriesQuality: (country, id) => ipcRenderer.invoke('get-series-quality', country, id),
+      getSeriesPoints: (country, id, opts) => ipcRenderer.invoke('get-series-points', country, id, opts),
+      fillSeriesGaps: (data, mode) => ipcRenderer.invoke('fill-series-gaps', data, mode),
+      // year annotations on series and per-country research notes, stored by the main process
+      listAnnotations: (filter) => ipcRenderer.invoke('list-annotations', filter),
+      saveAnnotation: (annotation) => ipcRenderer.invoke('save-annotation', annotation),
+      deleteAnnotation: (id) => ipcRenderer.invoke('delete-annotation', id),
+      getCountryNotes: (country) => ipcRenderer.invoke('get-country-notes', country),
+      saveCountryNotes: (country, text) => ipcRenderer.invoke('save-country-notes', country, text),
+      onAnnotationsChanged: (cb) => ipcRenderer.on('annotations-changed', (event, data) => cb && cb(data)),
+      // named workspaces: favourites, per-country indicators, compare sets and chart settings
+      listWorkspaces: () => ipcRenderer.invoke('list-workspaces'),
+      getWorkspace: (id) => ipcRenderer.invoke('get-workspace', id),
+      saveWorkspace: (patch) => ipcRenderer.invoke('save-workspace', patch),
+      setActiveWorkspace: (id) => ipcRenderer.invoke('set-active-workspace', id),
+      duplicateWorkspace: (id, name) => ipcRenderer.invoke('duplicate-workspace', id, name),
+      deleteWorkspace: (id) => ipcRenderer.invoke('delete-workspace', id),
+      importLegacyState: (snapshot, name) => ipcRenderer.invoke('import-legacy-state', snapshot, name),
+      exportWorkspace: (id) => ipcRenderer.invoke('export-workspace', id),
+      importWorkspace: (filePath) => ipcRenderer.invoke('import-workspace', filePath),
+      onWorkspaceChanged: (cb) => ipcRenderer.on('workspace-changed', (event, data) => cb && cb(data)),
+      // user formulas over indicator ids, saved as derived indicators
+      listDerivedIndicators: () => ipcRenderer.invoke('list-derived-indicators'),
+      validateDerivedFormula: (formula) => ipcRenderer.invoke('validate-derived-formula', formula),
+      evaluateDerivedFormula: (formula) => ipcRenderer.invoke('evaluate-derived-formula', formula),
+      saveDerivedIndicator: (def) => ipcRenderer.invoke('save-derived-indicator', def),
+      deleteDerivedIndicator: (id) => ipcRenderer.invoke('delete-derived-indicator', id),
+      // workbook exports: data for a full country profile, a batch (e.g. favourites) or the current comparison;
+      // the renderer builds the workbooks and hands the bytes back to be saved
+      getWorkbookProfiles: (countries, opts) => ipcRenderer.invoke('get-workbook-profiles', countries, opts),
+      getCompareWorkbook: (countries, id, opts) => ipcRenderer.invoke('get-compare-workbook', countries, id, opts),
+      saveExportFiles: (files) => ipcRenderer.invoke('save-export-files', files),
+      // tidy long CSV, World Bank-shaped JSON or JSON-stat for a country, comparison, ranking or the whole pack
+      exportData: (selection, opts) => ipcRenderer.invoke('export-data', selection, opts),
+      // import wizard: pick a CSV/XLSX, preview it, map columns and store it as a user indicator
+      chooseImportFile: () => ipcRenderer.invoke('choose-import-file'),
+      readImportFile: (filePath) => ipcRenderer.invoke('read-import-file', filePath),
+      previewImportFile: (filePath, rows) => ipcRenderer.invoke('preview-import-file', filePath, rows),
+      importUserIndicator: (opts) => ipcRenderer.invoke('import-user-indicator', opts),
+      listUserIndicators: () => ipcRenderer.invoke('list-user-indicators'),
+      deleteUserIndicator: (id) => ipcRenderer.invoke('delete-user-indicator', id),
+      // "Add indicator": any code from a World Bank API v2-compatible endpoint, refreshed with pack updates
+      getApiSettings: () => ipcRenderer.invoke('get-api-settings'),
+      setApiBaseUrl: (url) => ipcRenderer.invoke('set-api-base-url', url),
+      lookupApiIndicator: (code, opts) => ipcRenderer.invoke('lookup-api-indicator', code, opts),
+      addApiIndicator: (code, opts) => ipcRenderer.invoke('add-api-indicator', code, opts),
+      refreshApiIndicators: () => ipcRenderer.invoke('refresh-api-indicators'),
+      removeApiIndicator: (id) => ipcRenderer.invoke('remove-api-indicator', id),
+      onApiIndicatorProgress: (cb) => ipcRenderer.on('api-indicator-progress', (event, data) => cb && cb(data)),
+      // worlddata:// links: routes from launches / second instances, and "Copy link" for the current view
+      takePendingLink: () => ipcRenderer.invoke('take-pending-link'),
+      parseLink: (link) => ipcRenderer.invoke('parse-link', link),
+      buildLink: (route) => ipcRenderer.invoke('build-link', route),
+      copyLink: (route) => ipcRenderer.invoke('copy-link', route),
+      onOpenLink: (cb) => ipcRenderer.on('open-link', (event, data) => cb && cb(data)),
+      // windows: "Open in new window" and this window's own view (restored on next launch)
+      openInNewWindow: (route) => ipcRenderer.invoke('open-in-new-window', route),
+      getWindowView: () => ipcRenderer.invoke('get-window-view'),
+      setWindowView: (route) => ipcRenderer.invoke('set-window-view', route),
+      // chart images (PNG/SVG) and the PDF country report, rendered by the main process
+      saveChartImage: (chart, opts) => ipcRenderer.invoke('save-chart-image', chart, opts),
+      generateCountryReport: (payload) => ipcRenderer.invoke('generate-country-report', payload),
       // receive updates (auto-downloads) from the main process
       onUpdated: (cb) => ipcRenderer.on('indicators-updated', (event, data) => cb && cb(data)),
       onDownloadStart: (cb) => ipcRenderer.on('indicators-download-start', (event, data) => cb && cb(data)),
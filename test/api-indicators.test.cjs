@@ -0,0 +1,197 @@
+// Indicators added from a World Bank API v2-compatible endpoint, against a local mock of that API.
+// Run with: node --test test/
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Module = require('module');
+
+const userData = fs.mkdtempSync(path.join(os.tmpdir(), 'worlddata-api-test-'));
+const handlers = {};
+const event = { sender: { send() {} } };
+
+// just enough of electron for electron.cjs to load and register its handlers
+const stubs = {
+  electron: {
+    app: {
+      getPath: () => userData,
+      getVersion: () => '0.0.0-test',
+      requestSingleInstanceLock: () => true,
+      setAsDefaultProtocolClient() {},
+      whenReady: () => new Promise(() => {}),
+      isReady: () => false,
+      on() {},
+      quit() {},
+    },
+    BrowserWindow: Object.assign(function BrowserWindow() {}, { getAllWindows: () => [], getFocusedWindow: () => null, fromWebContents: () => null }),
+    ipcMain: { handle: (channel, fn) => { handlers[channel] = fn; }, on() {} },
+    nativeTheme: {},
+    Menu: {},
+    dialog: {},
+    clipboard: {},
+    screen: { getAllDisplays: () => [] },
+  },
+  'electron-is-dev': true,
+  'electron-log': { transports: { file: {} }, info() {}, warn() {}, error() {}, debug() {} },
+};
+
+// v2 record for the pack fixtures and the mock API
+const record = (id, name, iso2, country, iso3, date, value) => ({
+  indicator: { id, value: name },
+  country: { id: iso2, value: country },
+  countryiso3code: iso3,
+  date: String(date),
+  value,
+  unit: '',
+  obs_status: '',
+  decimal: 0,
+});
+
+// two countries installed as a pack, so the store has something to match fetched rows against
+const writePackCountry = (key, iso2, iso3) => {
+  const dir = path.join(userData, 'indicators', 'indicators');
+  fs.mkdirSync(dir, { recursive: true });
+  const name = 'Population, total';
+  const series = { 'SP.POP.TOTL': { indicator_name: name, data: [2021, 2020, 2019].map(y => record('SP.POP.TOTL', name, iso2, key, iso3, y, 1000 + y)) } };
+  fs.writeFileSync(path.join(dir, `${key}.json`), JSON.stringify(series));
+};
+
+const TEST_NAME = 'Test indicator';
+const testRows = [
+  record('TEST.IND', TEST_NAME, 'KE', 'Kenya', 'KEN', 2020, 1.5),
+  record('TEST.IND', TEST_NAME, 'KE', 'Kenya', 'KEN', 2019, 1.25),
+  record('TEST.IND', TEST_NAME, 'GH', 'Ghana', 'GHA', 2020, 2.5),
+  // matched by name when the iso3 code is missing
+  record('TEST.IND', TEST_NAME, 'GH', 'Ghana', '', 2019, 2),
+  record('TEST.IND', TEST_NAME, 'XX', 'Atlantis', 'ATL', 2020, 9),
+];
+const PAGE_SIZE = 2;
+
+// paged like the real API: [meta, rows], with pages derived from the mock's own page size
+const requests = [];
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, 'http://localhost');
+  requests.push(url);
+  const send = (status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  };
+  const meta = url.pathname.match(/^\/v2\/indicator\/([^/]+)$/);
+  if (meta) {
+    const code = decodeURIComponent(meta[1]);
+    if (code === 'TEST.IND') return send(200, [{ page: 1, pages: 1, per_page: 50, total: 1 }, [{ id: code, name: TEST_NAME, unit: '', sourceNote: 'Mock series.', sourceOrganization: 'Mock', topics: [{ id: '3', value: 'Economy & Growth' }] }]]);
+    // how the real API reports an unknown code: status 200 and a message payload
+    if (code === 'BAD.IND') return send(200, [{ message: [{ id: '120', key: 'Invalid value', value: 'The provided parameter value is not valid' }] }]);
+    return send(404, { error: 'not found' });
+  }
+  if (url.pathname === '/v2/country/all/indicator/TEST.IND') {
+    const page = Number(url.searchParams.get('page')) || 1;
+    const pages = Math.ceil(testRows.length / PAGE_SIZE);
+    return send(200, [{ page, pages, per_page: url.searchParams.get('per_page'), total: testRows.length, lastupdated: '2024-12-16' }, testRows.slice((page - 1) * PAGE_SIZE, page * PAGE_SIZE)]);
+  }
+  return send(404, { error: 'not found' });
+});
+
+let baseUrl;
+
+before(async () => {
+  writePackCountry('Kenya', 'KE', 'KEN');
+  writePackCountry('Ghana', 'GH', 'GHA');
+  const load = Module._load;
+  Module._load = function (request, ...rest) {
+    if (request in stubs) return stubs[request];
+    if (request === 'keytar') throw new Error('keytar is not available in tests');
+    return load.call(this, request, ...rest);
+  };
+  require('../electron.cjs');
+  Module._load = load;
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/v2`;
+});
+
+after(() => {
+  server.close();
+  fs.rmSync(userData, { recursive: true, force: true });
+});
+
+test('add-api-indicator fetches every page with per_page and keeps unmatched countries out', async () => {
+  requests.length = 0;
+  const result = await handlers['add-api-indicator'](event, 'TEST.IND', { baseUrl });
+  assert.equal(result.success, true, result.error);
+  assert.equal(result.indicator.records, 4);
+  assert.equal(result.indicator.countries, 2);
+  assert.deepEqual(result.indicator.unmatched, ['Atlantis']);
+  assert.equal(result.indicator.lastUpdated, '2024-12-16');
+
+  const pages = requests.filter(u => u.pathname.startsWith('/v2/country/'));
+  assert.deepEqual(pages.map(u => u.searchParams.get('page')), ['1', '2', '3']);
+  assert.ok(pages.every(u => u.searchParams.get('per_page') === '1000' && u.searchParams.get('format') === 'json'));
+
+  const settings = await handlers['get-api-settings'](event);
+  assert.deepEqual(settings.indicators.map(i => i.id), ['TEST.IND']);
+});
+
+test('fetched series are merged into country data and the indicator store', async () => {
+  const kenya = await handlers['get-country-data'](event, 'Kenya');
+  const series = kenya.indicators['TEST.IND'];
+  assert.equal(series.source, 'api');
+  assert.equal(series.indicator_name, TEST_NAME);
+  assert.deepEqual(series.data.map(r => [r.date, r.value]), [['2020', 1.5], ['2019', 1.25]]);
+  // the pack series is still there next to it
+  assert.ok(kenya.indicators['SP.POP.TOTL']);
+
+  const ranking = await handlers['get-indicator-ranking'](event, 'TEST.IND', { year: 2019 });
+  assert.deepEqual(ranking.rows.map(r => [r.country, r.value]), [['Ghana', 2], ['Kenya', 1.25]]);
+});
+
+test('an invalid-indicator payload is reported and nothing is stored', async () => {
+  const result = await handlers['add-api-indicator'](event, 'BAD.IND', { baseUrl });
+  assert.equal(result.success, false);
+  assert.equal(result.error, 'The provided parameter value is not valid');
+  const lookup = await handlers['lookup-api-indicator'](event, 'BAD.IND', { baseUrl });
+  assert.equal(lookup.success, false);
+  const settings = await handlers['get-api-settings'](event);
+  assert.deepEqual(settings.indicators.map(i => i.id), ['TEST.IND']);
+});
+
+test('a 404 fails without retrying', async () => {
+  requests.length = 0;
+  const result = await handlers['add-api-indicator'](event, 'NO.SUCH', { baseUrl });
+  assert.equal(result.success, false);
+  assert.equal(result.error, 'HTTP 404');
+  assert.equal(requests.length, 1);
+});
+
+test('codes that are not indicator ids never reach the API', async () => {
+  requests.length = 0;
+  const result = await handlers['add-api-indicator'](event, '../etc/passwd', { baseUrl });
+  assert.deepEqual(result, { success: false, error: 'invalid indicator code' });
+  assert.equal(requests.length, 0);
+});
+
+test('a per-request base URL must be http(s), like the saved one', async () => {
+  requests.length = 0;
+  for (const name of ['add-api-indicator', 'lookup-api-indicator']) {
+    const result = await handlers[name](event, 'TEST.IND', { baseUrl: 'file:///etc' });
+    assert.deepEqual(result, { success: false, error: 'base URL must be http(s)' });
+  }
+  assert.equal(requests.length, 0);
+  const settings = await handlers['get-api-settings'](event);
+  assert.deepEqual(settings.indicators.map(i => i.id), ['TEST.IND']);
+});
+
+test('fetched series are in the indicator catalog until they are removed', async () => {
+  const info = await handlers['get-indicator-info'](event, 'TEST.IND');
+  assert.equal(info.origin, 'api');
+  assert.equal(info.definition, 'Mock series.');
+  const found = await handlers['search-indicator-catalog'](event, 'mock series');
+  assert.deepEqual(found.map(e => e.id), ['TEST.IND']);
+
+  assert.equal(await handlers['remove-api-indicator'](event, 'TEST.IND'), true);
+  assert.equal(await handlers['get-indicator-info'](event, 'TEST.IND'), null);
+  const { indicators } = await handlers['get-indicator-catalog'](event);
+  assert.ok(indicators.some(e => e.id === 'SP.POP.TOTL'));
+  assert.ok(!indicators.some(e => e.id === 'TEST.IND'));
+});